@@ -1,39 +1,402 @@
+import { useEffect, useState } from 'react';
 import { AppShell } from '@jybrd/design-system/compounds/app-shell';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@jybrd/design-system/components/ui/badge';
-import { Lock } from '@phosphor-icons/react';
+import { Button } from '@jybrd/design-system/components/ui/button';
+import { Input } from '@jybrd/design-system/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@jybrd/design-system/components/ui/select';
+import { useAuth } from '@/contexts/AuthContext';
+import { ChartLine, ArrowRight, Flag, ClockCounterClockwise } from '@phosphor-icons/react';
+import { toast } from 'sonner';
+import { PageLoadingCover } from '@/components/ui/page-loading-cover';
+
+interface TrackedProject {
+  id: string;
+  number: number;
+  title: string;
+  owner: string;
+}
+
+interface ProjectPoint {
+  recordedAt: string;
+  trigger: string;
+  projectEnd: string | null;
+  updatedCount: number;
+}
+
+interface MilestoneTrend {
+  number: number;
+  title: string;
+  dueOn: string | null;
+  series: { recordedAt: string; projectedFinish: string | null }[];
+}
+
+interface ScheduleChange {
+  key: string | null;
+  issueNumber: number | null;
+  recordedAt: string;
+  trigger: string;
+  triggerDetail: string | null;
+  previousTarget: string | null;
+  targetDate: string | null;
+}
+
+interface ScheduleTrend {
+  days: number;
+  project: ProjectPoint[];
+  milestones: MilestoneTrend[];
+  recentChanges: ScheduleChange[];
+}
+
+interface DateHistoryEntry {
+  id: number;
+  recordedAt: string;
+  trigger: string;
+  triggerDetail: string | null;
+  previousStart: string | null;
+  previousTarget: string | null;
+  startDate: string | null;
+  targetDate: string | null;
+}
+
+const TREND_RANGES = ['30', '90', '180', '365'];
+
+function dayDiff(from: string, to: string): number {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / (24 * 60 * 60 * 1000));
+}
+
+function formatShortDate(date: string | null): string {
+  if (!date) return '—';
+  return new Date(date.split(' ')[0] + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Projected project end over time, as a simple inline SVG line chart
+function ProjectEndChart({ points }: { points: ProjectPoint[] }) {
+  const data = points.filter(p => p.projectEnd);
+  if (data.length < 2) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Not enough recalculations yet to draw a trend.
+      </p>
+    );
+  }
+
+  const width = 640;
+  const height = 200;
+  const padding = 32;
+  const times = data.map(p => new Date(p.recordedAt.replace(' ', 'T') + 'Z').getTime());
+  const ends = data.map(p => new Date(p.projectEnd + 'T00:00:00Z').getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minEnd = Math.min(...ends);
+  const maxEnd = Math.max(...ends);
+
+  const x = (t: number) => padding + ((t - minTime) / Math.max(maxTime - minTime, 1)) * (width - padding * 2);
+  const y = (e: number) => height - padding - ((e - minEnd) / Math.max(maxEnd - minEnd, 1)) * (height - padding * 2);
+  const path = data.map((_, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(ends[i]).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-[200px]">
+      <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} className="stroke-border" />
+      <line x1={padding} y1={padding} x2={padding} y2={height - padding} className="stroke-border" />
+      <text x={padding} y={padding - 8} className="fill-muted-foreground text-[10px]">
+        {formatShortDate(new Date(maxEnd).toISOString().split('T')[0])}
+      </text>
+      <text x={padding} y={height - 8} className="fill-muted-foreground text-[10px]">
+        {formatShortDate(new Date(minEnd).toISOString().split('T')[0])}
+      </text>
+      <path d={path} fill="none" strokeWidth={2} className="stroke-primary" />
+      {data.map((point, i) => (
+        <circle key={i} cx={x(times[i])} cy={y(ends[i])} r={3} className="fill-primary">
+          <title>{`${point.recordedAt}: ${point.projectEnd} (${point.trigger})`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
 
 export function Analytics() {
+  const { currentInstallation } = useAuth();
+  const [trackedProjects, setTrackedProjects] = useState<TrackedProject[]>([]);
+  const [selectedProject, setSelectedProject] = useState<string>('');
+  const [range, setRange] = useState<string>('90');
+  const [trend, setTrend] = useState<ScheduleTrend | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [issueNumber, setIssueNumber] = useState('');
+  const [history, setHistory] = useState<DateHistoryEntry[] | null>(null);
+
+  useEffect(() => {
+    if (currentInstallation) {
+      fetchTrackedProjects();
+    }
+  }, [currentInstallation]);
+
+  useEffect(() => {
+    setHistory(null);
+    if (selectedProject) {
+      fetchTrend(selectedProject, range);
+    } else {
+      setTrend(null);
+    }
+  }, [selectedProject, range]);
+
+  async function fetchTrackedProjects() {
+    if (!currentInstallation) return;
+
+    try {
+      const response = await fetch(`/api/installations/${currentInstallation.id}/projects`);
+      if (response.ok) {
+        const data = await response.json();
+        const tracked = data.filter((p: { tracked: boolean }) => p.tracked);
+        setTrackedProjects(tracked);
+        if (tracked.length === 1) {
+          setSelectedProject(tracked[0].number.toString());
+        }
+      }
+    } catch (error) {
+      console.error('Failed to fetch projects:', error);
+    }
+  }
+
+  async function fetchTrend(projectNumber: string, days: string) {
+    if (!currentInstallation) return;
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(
+        `/api/installations/${currentInstallation.id}/projects/${projectNumber}/schedule-trend?days=${days}`
+      );
+      if (response.ok) {
+        setTrend(await response.json());
+      } else {
+        toast.error('Failed to load schedule trend');
+      }
+    } catch (error) {
+      console.error('Failed to fetch schedule trend:', error);
+      toast.error('Failed to load schedule trend');
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  async function fetchHistory(event: React.FormEvent) {
+    event.preventDefault();
+    if (!currentInstallation || !selectedProject || !issueNumber) return;
+
+    // Accepts #123 or owner/repo#123 (needed when repositories share issue numbers)
+    const match = issueNumber.trim().match(/^(?:([\w.-]+\/[\w.-]+))?#?(\d+)$/);
+    if (!match) {
+      toast.error('Enter an issue as #123 or owner/repo#123');
+      return;
+    }
+    const query = match[1] ? `?repository=${encodeURIComponent(match[1])}` : '';
+
+    try {
+      const response = await fetch(
+        `/api/installations/${currentInstallation.id}/projects/${selectedProject}/issues/${match[2]}/date-history${query}`
+      );
+      if (response.ok) {
+        setHistory(await response.json());
+      } else {
+        toast.error('Failed to load date history');
+      }
+    } catch (error) {
+      console.error('Failed to fetch date history:', error);
+      toast.error('Failed to load date history');
+    }
+  }
+
+  const firstPoint = trend?.project.find(p => p.projectEnd);
+  const lastPoint = trend ? [...trend.project].reverse().find(p => p.projectEnd) : undefined;
+  const totalSlip = firstPoint && lastPoint ? dayDiff(firstPoint.projectEnd!, lastPoint.projectEnd!) : 0;
+
   return (
     <>
-      <AppShell.Header title="Analytics" description="Track project performance and variance" />
-
-      <AppShell.Body className="p-6">
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              Coming Soon
-              <Badge variant="secondary">
-                <Lock className="h-3 w-3 mr-1" />
-                Pro
-              </Badge>
-            </CardTitle>
-            <CardDescription>
-              Variance reports and analytics are coming soon for Pro subscribers.
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <p className="text-muted-foreground">
-              Analytics will include:
-            </p>
-            <ul className="list-disc list-inside mt-4 space-y-2 text-sm">
-              <li>Baseline vs actual schedule comparison</li>
-              <li>Schedule variance tracking over time</li>
-              <li>Estimate accuracy reports</li>
-              <li>Team velocity insights</li>
-            </ul>
-          </CardContent>
-        </Card>
+      <AppShell.Header title="Analytics" description="Track how the schedule moves over time" />
+
+      <AppShell.Body className="p-6 relative">
+        <PageLoadingCover loading={isLoading} pageName="Analytics" />
+        <div className="mb-6 flex items-center gap-4">
+          <Select value={selectedProject} onValueChange={setSelectedProject}>
+            <SelectTrigger className="w-[300px]">
+              <SelectValue placeholder="Select a project..." />
+            </SelectTrigger>
+            <SelectContent>
+              {trackedProjects.map((project) => (
+                <SelectItem key={project.number} value={project.number.toString()}>
+                  {project.title}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={range} onValueChange={setRange}>
+            <SelectTrigger className="w-[160px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {TREND_RANGES.map((days) => (
+                <SelectItem key={days} value={days}>
+                  Last {days} days
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {!selectedProject && !isLoading ? (
+          <Card>
+            <CardContent className="p-8 text-center">
+              <ChartLine className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
+              <p className="text-muted-foreground">
+                Select a project to see how its schedule has moved
+              </p>
+            </CardContent>
+          </Card>
+        ) : trend ? (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Project End Trend */}
+            <Card className="lg:col-span-2">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <ChartLine className="h-5 w-5" />
+                  Projected Finish
+                  {totalSlip !== 0 && (
+                    <Badge variant={totalSlip > 0 ? 'destructive' : 'secondary'}>
+                      {totalSlip > 0 ? '+' : ''}{totalSlip} days
+                    </Badge>
+                  )}
+                </CardTitle>
+                <CardDescription>
+                  Latest calculated end date after each recalculation
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <ProjectEndChart points={trend.project} />
+              </CardContent>
+            </Card>
+
+            {/* Milestone Slips */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Flag className="h-5 w-5" />
+                  Milestones
+                </CardTitle>
+                <CardDescription>Projected finish, first vs latest</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {trend.milestones.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No milestones in this project</p>
+                ) : (
+                  <div className="space-y-3">
+                    {trend.milestones.map((milestone) => {
+                      const points = milestone.series.filter(p => p.projectedFinish);
+                      const first = points[0]?.projectedFinish ?? null;
+                      const latest = points[points.length - 1]?.projectedFinish ?? null;
+                      const slip = first && latest ? dayDiff(first, latest) : 0;
+                      const late = latest && milestone.dueOn && latest > milestone.dueOn;
+
+                      return (
+                        <div key={milestone.number} className="p-3 border rounded-lg text-sm">
+                          <div className="flex items-center justify-between">
+                            <span className="font-medium truncate">{milestone.title}</span>
+                            {slip !== 0 && (
+                              <Badge variant={slip > 0 ? 'destructive' : 'secondary'}>
+                                {slip > 0 ? '+' : ''}{slip}d
+                              </Badge>
+                            )}
+                          </div>
+                          <div className="flex items-center gap-2 text-muted-foreground mt-1">
+                            {formatShortDate(first)}
+                            <ArrowRight className="h-3 w-3" />
+                            <span className={late ? 'text-destructive' : undefined}>{formatShortDate(latest)}</span>
+                            {milestone.dueOn && <span>(due {formatShortDate(milestone.dueOn)})</span>}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Recent Changes */}
+            <Card className="lg:col-span-2">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <ClockCounterClockwise className="h-5 w-5" />
+                  Recent Date Changes
+                </CardTitle>
+                <CardDescription>Target dates moved by the scheduler, newest first</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {trend.recentChanges.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No date changes in this period</p>
+                ) : (
+                  <div className="space-y-2">
+                    {trend.recentChanges.map((change, index) => (
+                      <div key={index} className="flex items-center justify-between p-2 border rounded-lg text-sm">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium">{change.issueNumber ? `#${change.issueNumber}` : 'Draft'}</span>
+                          <span className="text-muted-foreground">{formatShortDate(change.previousTarget)}</span>
+                          <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                          <span>{formatShortDate(change.targetDate)}</span>
+                        </div>
+                        <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                          <Badge variant="outline">{change.trigger}</Badge>
+                          {change.recordedAt}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Issue History Lookup */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Issue History</CardTitle>
+                <CardDescription>Every Start/Target change for one issue</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={fetchHistory} className="flex gap-2 mb-4">
+                  <Input
+                    placeholder="#123 or owner/repo#123"
+                    value={issueNumber}
+                    onChange={(e) => setIssueNumber(e.target.value)}
+                  />
+                  <Button type="submit" variant="outline">Show</Button>
+                </form>
+                {history && (history.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No recorded changes</p>
+                ) : (
+                  <div className="space-y-2">
+                    {history.map((entry) => (
+                      <div key={entry.id} className="p-2 border rounded-lg text-sm">
+                        <div className="text-xs text-muted-foreground">
+                          {entry.recordedAt} · {entry.trigger}
+                          {entry.triggerDetail ? ` (${entry.triggerDetail})` : ''}
+                        </div>
+                        <div className="flex items-center gap-2 mt-1">
+                          {formatShortDate(entry.previousStart)}–{formatShortDate(entry.previousTarget)}
+                          <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                          {formatShortDate(entry.startDate)}–{formatShortDate(entry.targetDate)}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </div>
+        ) : null}
       </AppShell.Body>
     </>
   );
@@ -7,15 +7,37 @@ import { Label } from '@jybrd/design-system/components/ui/label';
 import { Checkbox } from '@jybrd/design-system/components/ui/checkbox';
 import { Badge } from '@jybrd/design-system/components/ui/badge';
 import { Separator } from '@jybrd/design-system/components/ui/separator';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@jybrd/design-system/components/ui/select';
 import { toast } from 'sonner';
 import { useAuth } from '@/contexts/AuthContext';
 import { PageLoadingCover } from '@/components/ui/page-loading-cover';
-import { Calendar, Clock, TShirt, Sparkle, Lock, Trash } from '@phosphor-icons/react';
+import { Calendar, Clock, TShirt, Sparkle, Lock, Trash, Columns, Ruler } from '@phosphor-icons/react';
 
 const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
 const CONFIDENCE_LEVELS = ['High', 'Medium', 'Low'];
 
+// Fields the scheduler reads and writes, in display order
+const MAPPED_FIELDS = [
+  { key: 'startDate', label: 'Start date' },
+  { key: 'targetDate', label: 'Target date' },
+  { key: 'actualEndDate', label: 'Actual end date' },
+  { key: 'baselineStart', label: 'Baseline start' },
+  { key: 'baselineTarget', label: 'Baseline target' },
+  { key: 'estimate', label: 'Estimate' },
+  { key: 'confidence', label: 'Confidence' },
+  { key: 'percentComplete', label: 'Percent complete' },
+  { key: 'status', label: 'Status' },
+  { key: 'constraintType', label: 'Constraint type' },
+  { key: 'constraintDate', label: 'Constraint date' },
+];
+
 interface Settings {
   weekendDays: number[];
   estimateDays: Record<string, number>;
@@ -28,6 +50,30 @@ interface Holiday {
   recurring: boolean;
 }
 
+const ESTIMATE_MODELS = [
+  { value: 'tshirt', label: 'T-shirt sizes', description: 'Single-select sizes, converted with the estimates above' },
+  { value: 'points', label: 'Story points', description: 'Number field, divided by velocity' },
+  { value: 'hours', label: 'Hours', description: 'Number field, divided by hours per day' },
+  { value: 'days', label: 'Days', description: 'Number field, used as working days' },
+];
+
+interface Estimation {
+  model: 'tshirt' | 'points' | 'hours' | 'days';
+  pointsPerDay: number;
+  hoursPerDay: number;
+}
+
+interface TrackedProject {
+  number: number;
+  title: string;
+}
+
+interface FieldMapping {
+  fieldNames: Record<string, string>;
+  defaults: Record<string, string>;
+  projectFields: { name: string; dataType: string }[];
+}
+
 interface Subscription {
   plan: 'free' | 'pro';
   status?: string;
@@ -53,6 +99,12 @@ export function Configuration() {
   const [newHoliday, setNewHoliday] = useState({ date: '', name: '', recurring: false });
   const [isLoading, setIsLoading] = useState(true);
   const [hasChanges, setHasChanges] = useState(false);
+  const [trackedProjects, setTrackedProjects] = useState<TrackedProject[]>([]);
+  const [settingsProject, setSettingsProject] = useState<string>('');
+  const [fieldMapping, setFieldMapping] = useState<FieldMapping | null>(null);
+  const [fieldNames, setFieldNames] = useState<Record<string, string>>({});
+  const [estimation, setEstimation] = useState<Estimation | null>(null);
+  const [originalEstimation, setOriginalEstimation] = useState<Estimation | null>(null);
 
   const installationId = currentInstallation?.id;
 
@@ -63,6 +115,13 @@ export function Configuration() {
     }
   }, [installationId]);
 
+  useEffect(() => {
+    if (installationId && settingsProject) {
+      loadFieldMapping(settingsProject);
+      loadEstimation(settingsProject);
+    }
+  }, [installationId, settingsProject]);
+
   // Track changes
   useEffect(() => {
     setHasChanges(JSON.stringify(settings) !== JSON.stringify(originalSettings));
@@ -73,9 +132,10 @@ export function Configuration() {
 
     setIsLoading(true);
     try {
-      const [settingsRes, subscriptionRes] = await Promise.all([
+      const [settingsRes, subscriptionRes, projectsRes] = await Promise.all([
         fetch(`/api/installations/${installationId}/settings`),
         fetch(`/api/installations/${installationId}/subscription`),
+        fetch(`/api/installations/${installationId}/projects`),
       ]);
 
       if (settingsRes.ok) {
@@ -89,6 +149,15 @@ export function Configuration() {
         setSubscription(data);
       }
 
+      if (projectsRes.ok) {
+        const data = await projectsRes.json();
+        const tracked = data.filter((p: { tracked: boolean }) => p.tracked);
+        setTrackedProjects(tracked);
+        if (tracked.length === 1) {
+          setSettingsProject(tracked[0].number.toString());
+        }
+      }
+
       // Load holidays if Pro
       const subData = await subscriptionRes.json().catch(() => ({ plan: 'free' }));
       if (subData.plan === 'pro') {
@@ -116,6 +185,93 @@ export function Configuration() {
     }
   }
 
+  async function loadFieldMapping(projectNumber: string) {
+    if (!installationId) return;
+
+    try {
+      const res = await fetch(`/api/installations/${installationId}/projects/${projectNumber}/field-mapping`);
+      if (res.ok) {
+        const data: FieldMapping = await res.json();
+        setFieldMapping(data);
+        setFieldNames(data.fieldNames);
+      } else {
+        toast.error('Failed to load field mapping');
+      }
+    } catch (error) {
+      console.error('Failed to load field mapping:', error);
+      toast.error('Failed to load field mapping');
+    }
+  }
+
+  async function saveFieldMapping() {
+    if (!installationId || !settingsProject) return;
+
+    try {
+      const res = await fetch(`/api/installations/${installationId}/projects/${settingsProject}/field-mapping`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        // Blank inputs fall back to the default names
+        body: JSON.stringify({
+          fieldNames: Object.fromEntries(Object.entries(fieldNames).filter(([, name]) => name.trim())),
+        }),
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+        toast.success('Field mapping saved');
+        setFieldNames(data.fieldNames);
+        setFieldMapping((prev) => (prev ? { ...prev, fieldNames: data.fieldNames } : prev));
+      } else {
+        const error = await res.json();
+        toast.error(error.error || 'Failed to save field mapping');
+      }
+    } catch (error) {
+      console.error('Failed to save field mapping:', error);
+      toast.error('Failed to save field mapping');
+    }
+  }
+
+  async function loadEstimation(projectNumber: string) {
+    if (!installationId) return;
+
+    try {
+      const res = await fetch(`/api/installations/${installationId}/projects/${projectNumber}/estimation`);
+      if (res.ok) {
+        const data = await res.json();
+        setEstimation(data.estimation);
+        setOriginalEstimation(data.estimation);
+      } else {
+        toast.error('Failed to load estimate model');
+      }
+    } catch (error) {
+      console.error('Failed to load estimate model:', error);
+      toast.error('Failed to load estimate model');
+    }
+  }
+
+  async function saveEstimation() {
+    if (!installationId || !settingsProject || !estimation) return;
+
+    try {
+      const res = await fetch(`/api/installations/${installationId}/projects/${settingsProject}/estimation`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(estimation),
+      });
+
+      if (res.ok) {
+        toast.success('Estimate model saved');
+        setOriginalEstimation(estimation);
+      } else {
+        const error = await res.json();
+        toast.error(error.error || 'Failed to save estimate model');
+      }
+    } catch (error) {
+      console.error('Failed to save estimate model:', error);
+      toast.error('Failed to save estimate model');
+    }
+  }
+
   const toggleWorkDay = useCallback((dayIndex: number) => {
     setSettings((prev) => {
       const isWeekend = prev.weekendDays.includes(dayIndex);
@@ -336,6 +492,141 @@ export function Configuration() {
           </CardContent>
         </Card>
 
+        {/* Project Settings */}
+        <div className="flex items-center gap-4">
+          <Label>Project settings for</Label>
+          <Select value={settingsProject} onValueChange={setSettingsProject}>
+            <SelectTrigger className="w-[300px]">
+              <SelectValue placeholder="Select a project..." />
+            </SelectTrigger>
+            <SelectContent>
+              {trackedProjects.map((project) => (
+                <SelectItem key={project.number} value={project.number.toString()}>
+                  {project.title}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Estimate Model */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Ruler className="h-5 w-5" />
+              Estimate Model
+            </CardTitle>
+            <CardDescription>
+              Choose how this project's Estimate field converts to working days.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {!settingsProject || !estimation ? (
+              <p className="text-muted-foreground">Select a project to configure its estimates.</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                  {ESTIMATE_MODELS.map((model) => (
+                    <button
+                      key={model.value}
+                      type="button"
+                      onClick={() => setEstimation((prev) => (prev ? { ...prev, model: model.value as Estimation['model'] } : prev))}
+                      className={`text-left p-3 border rounded-lg ${estimation.model === model.value ? 'border-primary bg-muted' : ''}`}
+                    >
+                      <span className="font-medium block">{model.label}</span>
+                      <span className="text-xs text-muted-foreground">{model.description}</span>
+                    </button>
+                  ))}
+                </div>
+
+                {(estimation.model === 'points' || estimation.model === 'hours') && (
+                  <div className="space-y-2 max-w-[200px] mt-4">
+                    <Label htmlFor="estimate-rate">
+                      {estimation.model === 'points' ? 'Velocity' : 'Hours per day'}
+                    </Label>
+                    <Input
+                      id="estimate-rate"
+                      type="number"
+                      min={0.1}
+                      step={0.1}
+                      value={estimation.model === 'points' ? estimation.pointsPerDay : estimation.hoursPerDay}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value) || 0;
+                        setEstimation((prev) => (prev
+                          ? { ...prev, [prev.model === 'points' ? 'pointsPerDay' : 'hoursPerDay']: value }
+                          : prev));
+                      }}
+                    />
+                    <span className="text-xs text-muted-foreground">
+                      {estimation.model === 'points' ? 'points per working day' : 'ideal hours per working day'}
+                    </span>
+                  </div>
+                )}
+
+                <div className="flex justify-end mt-6">
+                  <Button
+                    onClick={saveEstimation}
+                    disabled={JSON.stringify(estimation) === JSON.stringify(originalEstimation)}
+                  >
+                    Save Estimate Model
+                  </Button>
+                </div>
+              </>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Field Mapping */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Columns className="h-5 w-5" />
+              Field Mapping
+            </CardTitle>
+            <CardDescription>
+              Match the fields the scheduler reads and writes to the field names used in each project.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {!settingsProject || !fieldMapping ? (
+              <p className="text-muted-foreground">Select a project to map its fields.</p>
+            ) : (
+              <>
+                <datalist id="project-field-names">
+                  {fieldMapping.projectFields.map((field) => (
+                    <option key={field.name} value={field.name} />
+                  ))}
+                </datalist>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {MAPPED_FIELDS.map(({ key, label }) => (
+                    <div key={key} className="space-y-2">
+                      <Label htmlFor={`field-${key}`}>{label}</Label>
+                      <Input
+                        id={`field-${key}`}
+                        list="project-field-names"
+                        placeholder={fieldMapping.defaults[key]}
+                        value={fieldNames[key] || ''}
+                        onChange={(e) => setFieldNames((prev) => ({ ...prev, [key]: e.target.value }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="flex justify-end gap-2 mt-6">
+                  <Button variant="outline" onClick={() => setFieldNames(fieldMapping.defaults)}>
+                    Use Defaults
+                  </Button>
+                  <Button
+                    onClick={saveFieldMapping}
+                    disabled={JSON.stringify(fieldNames) === JSON.stringify(fieldMapping.fieldNames)}
+                  >
+                    Save Mapping
+                  </Button>
+                </div>
+              </>
+            )}
+          </CardContent>
+        </Card>
+
         {/* Holidays (Pro only) */}
         <Card className={!isPro ? 'opacity-60' : ''}>
           <CardHeader>
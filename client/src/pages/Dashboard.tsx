@@ -37,6 +37,18 @@ interface Project {
   updatedAt: string;
 }
 
+interface EarnedValue {
+  bac: number;
+  pv: number;
+  ev: number;
+  ac: number;
+  sv: number;
+  spi: number | null;
+  cv: number;
+  cpi: number | null;
+  percentComplete: number;
+}
+
 interface ExecutiveSummary {
   projects: {
     total: number;
@@ -67,6 +79,7 @@ interface ExecutiveSummary {
     ahead: number;
     noBaseline: number;
   };
+  earnedValue: EarnedValue | null;
   healthScore: number;
   projectDetails: Array<{
     number: number;
@@ -75,6 +88,7 @@ interface ExecutiveSummary {
     items: { total: number; completed: number; remaining: number };
     risks: { critical: number; high: number; medium: number; low: number };
     timeline: { onTrack: number; behind: number; ahead: number };
+    earnedValue: EarnedValue | null;
     health: 'good' | 'warning' | 'critical';
     error?: string;
   }>;
@@ -285,6 +299,12 @@ export function Dashboard() {
                       {executiveSummary.timeline.behind} behind
                     </Badge>
                   )}
+                  {executiveSummary.earnedValue?.spi != null && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      SPI {executiveSummary.earnedValue.spi.toFixed(2)}
+                      {executiveSummary.earnedValue.cpi != null && ` · CPI ${executiveSummary.earnedValue.cpi.toFixed(2)}`}
+                    </p>
+                  )}
                 </CardContent>
               </Card>
 
@@ -32,7 +32,8 @@ interface TrackedProject {
 
 interface GraphNode {
   id: string;
-  issueNumber: number;
+  repository: string;
+  issueNumber: number | null;
   title: string;
   state: string;
   status: string;
@@ -41,10 +42,17 @@ interface GraphNode {
   estimate: string | null;
   isCompleted: boolean;
   isSummary: boolean;
+  inCycle: boolean;
   hasChildren: boolean;
   parentNumber: number | null;
+  parentKey: string | null;
   duration: number;
   buffer: number;
+  // Blockers outside the project (resolved: false when their dates are unknown)
+  external?: boolean;
+  resolved?: boolean;
+  unresolvedReason?: string | null;
+  sourceProjectNumber?: number | null;
 }
 
 interface GraphEdge {
@@ -52,11 +60,19 @@ interface GraphEdge {
   source: string;
   target: string;
   type: 'dependency' | 'parent-child';
+  dependencyType?: 'FS' | 'SS' | 'FF';
+  lag?: number;
+  inCycle?: boolean;
+}
+
+interface DependencyCycle {
+  issues: string[];
+  path: string[];
 }
 
 interface CriticalPathNode {
   id: string;
-  issueNumber: number;
+  issueNumber: number | null;
   title: string;
   duration: number;
   earlyStart: number;
@@ -65,7 +81,7 @@ interface CriticalPathNode {
 
 interface SlackNode {
   id: string;
-  issueNumber: number;
+  issueNumber: number | null;
   title: string;
   slack: number;
 }
@@ -78,14 +94,24 @@ interface DependencyGraph {
     totalDuration: number;
     nodesWithSlack: SlackNode[];
   };
+  cycles: DependencyCycle[];
   stats: {
     totalNodes: number;
+    externalNodes: number;
+    unresolvedBlockers: number;
     totalEdges: number;
     dependencyEdges: number;
     parentChildEdges: number;
+    cycles: number;
   };
 }
 
+// Drafts have no issue number; blockers outside the project show their full key
+function itemLabel(node: { id: string; issueNumber: number | null; external?: boolean }) {
+  if (node.external) return node.id;
+  return node.issueNumber ? `#${node.issueNumber}` : 'Draft';
+}
+
 export function Dependencies() {
   const { currentInstallation } = useAuth();
   const [trackedProjects, setTrackedProjects] = useState<TrackedProject[]>([]);
@@ -217,6 +243,74 @@ export function Dependencies() {
           </Card>
         ) : graphData ? (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Dependency Cycles Card */}
+            {graphData.cycles.length > 0 && (
+              <Card className="lg:col-span-3 border-destructive/40">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2 text-destructive">
+                    <Warning className="h-5 w-5" />
+                    Dependency Cycles
+                  </CardTitle>
+                  <CardDescription>
+                    These items block each other, so their dates can't be calculated.
+                    They keep their current dates until a blocking relationship is removed.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-2">
+                    {graphData.cycles.map((cycle) => (
+                      <div
+                        key={cycle.issues.join('-')}
+                        className="flex items-center gap-2 p-3 border border-destructive/30 rounded-lg bg-destructive/5 text-sm"
+                      >
+                        {cycle.path.map((key, index) => (
+                          <span key={index} className="flex items-center gap-2">
+                            <span className="font-medium">{key}</span>
+                            {index < cycle.path.length - 1 && (
+                              <CaretRight className="h-3 w-3 text-muted-foreground" />
+                            )}
+                          </span>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Unresolved External Blockers Card */}
+            {graphData.nodes.some((node) => node.external && !node.resolved) && (
+              <Card className="lg:col-span-3 border-destructive/40">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2 text-destructive">
+                    <Warning className="h-5 w-5" />
+                    Unresolved Blockers
+                  </CardTitle>
+                  <CardDescription>
+                    These blockers live outside this project and their dates are unknown,
+                    so the items they block are scheduled without them.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-2">
+                    {graphData.nodes
+                      .filter((node) => node.external && !node.resolved)
+                      .map((node) => (
+                        <div
+                          key={node.id}
+                          className="flex items-center justify-between p-3 border border-destructive/30 rounded-lg bg-destructive/5 text-sm"
+                        >
+                          <span className="font-medium">{node.id}</span>
+                          <span className="text-muted-foreground">
+                            {node.unresolvedReason} · blocks {getBlocked(node.id).length}
+                          </span>
+                        </div>
+                      ))}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Critical Path Card */}
             <Card className="lg:col-span-2">
               <CardHeader>
@@ -247,7 +341,7 @@ export function Dependencies() {
                           </span>
                         </div>
                         <div className="flex-1 min-w-0">
-                          <div className="font-medium truncate">#{node.issueNumber} {node.title}</div>
+                          <div className="font-medium truncate">{itemLabel(node)} {node.title}</div>
                           <div className="text-sm text-muted-foreground">
                             Days {node.earlyStart} - {node.earlyFinish} ({node.duration} days duration)
                           </div>
@@ -279,6 +373,12 @@ export function Dependencies() {
                   <span className="text-muted-foreground">Dependencies</span>
                   <span className="font-medium">{graphData.stats.dependencyEdges}</span>
                 </div>
+                {graphData.stats.externalNodes > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">External Blockers</span>
+                    <span className="font-medium">{graphData.stats.externalNodes}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-muted-foreground">Parent-Child</span>
                   <span className="font-medium">{graphData.stats.parentChildEdges}</span>
@@ -320,7 +420,7 @@ export function Dependencies() {
                         className="flex items-center justify-between p-3 border rounded-lg"
                       >
                         <div className="min-w-0 flex-1">
-                          <span className="font-medium">#{node.issueNumber}</span>
+                          <span className="font-medium">{itemLabel(node)}</span>
                           <span className="ml-2 text-muted-foreground truncate">
                             {node.title}
                           </span>
@@ -425,13 +525,25 @@ export function Dependencies() {
                             {/* Node info */}
                             <div className="flex-1 min-w-0">
                               <div className="flex items-center gap-2">
-                                <span className="font-medium">#{node.issueNumber}</span>
+                                <span className="font-medium">{itemLabel(node)}</span>
                                 <span className="truncate">{node.title}</span>
                                 {onCriticalPath && (
                                   <Badge variant="destructive" className="flex-shrink-0">
                                     Critical
                                   </Badge>
                                 )}
+                                {node.external && (
+                                  <Badge
+                                    variant={node.resolved ? 'outline' : 'destructive'}
+                                    className="flex-shrink-0"
+                                  >
+                                    {!node.resolved
+                                      ? 'External · dates unknown'
+                                      : node.sourceProjectNumber
+                                        ? `Project #${node.sourceProjectNumber}`
+                                        : 'External'}
+                                  </Badge>
+                                )}
                               </div>
                               <div className="flex items-center gap-4 text-sm text-muted-foreground mt-1">
                                 {node.estimate && <span>{node.estimate}</span>}
@@ -472,7 +584,7 @@ export function Dependencies() {
                                           setSelectedNode(b);
                                         }}
                                       >
-                                        #{b.issueNumber} {b.title.slice(0, 30)}
+                                        {itemLabel(b)} {b.title.slice(0, 30)}
                                         {b.title.length > 30 ? '...' : ''}
                                         {b.isCompleted && ' (Done)'}
                                       </Badge>
@@ -494,7 +606,7 @@ export function Dependencies() {
                                           setSelectedNode(b);
                                         }}
                                       >
-                                        #{b.issueNumber} {b.title.slice(0, 30)}
+                                        {itemLabel(b)} {b.title.slice(0, 30)}
                                         {b.title.length > 30 ? '...' : ''}
                                       </Badge>
                                     ))}
@@ -50,6 +50,7 @@ import {
   Stack,
   GitCommit,
   GitPullRequest,
+  ArrowsClockwise,
 } from '@phosphor-icons/react';
 import { toast } from 'sonner';
 import { PageLoadingCover } from '@/components/ui/page-loading-cover';
@@ -90,14 +91,18 @@ interface Assignee {
 
 interface ProjectItem {
   id: string;
-  issueNumber: number;
+  key: string;
+  contentType: 'Issue' | 'PullRequest' | 'DraftIssue';
+  repository: string | null;
+  issueNumber: number | null;
   type: 'bug' | 'feature' | 'task' | 'story' | 'epic';
   title: string;
-  url: string;
+  url: string | null;
   state: string;
   assignees: Assignee[];
   status: string;
-  estimate?: string;
+  estimate?: string | number;
+  estimateDays: number | null;
   startDate?: string;
   targetDate?: string;
   actualEndDate?: string;
@@ -199,6 +204,8 @@ export function ProjectDetail() {
   const [projectItems, setProjectItems] = useState<ProjectItem[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [itemsLoading, setItemsLoading] = useState(false);
+  const [itemsUpdatedAt, setItemsUpdatedAt] = useState<string | null>(null);
+  const [isRefreshingItems, setIsRefreshingItems] = useState(false);
 
   // Status update dialog state
   const [dialogOpen, setDialogOpen] = useState(false);
@@ -282,6 +289,7 @@ export function ProjectDetail() {
       if (itemsRes?.ok) {
         const itemsData = await itemsRes.json();
         setProjectItems(itemsData);
+        setItemsUpdatedAt(itemsRes.headers.get('X-Data-Updated-At'));
       }
 
       if (risksRes?.ok) {
@@ -303,6 +311,27 @@ export function ProjectDetail() {
     }
   }
 
+  async function handleRefreshItems() {
+    if (!currentInstallation || !projectNumber) return;
+
+    setIsRefreshingItems(true);
+    try {
+      const response = await fetch(
+        `/api/installations/${currentInstallation.id}/projects/${projectNumber}/cache/refresh`,
+        { method: 'POST' }
+      );
+      if (!response.ok) {
+        throw new Error('Failed to refresh');
+      }
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to refresh project data:', error);
+      toast.error('Failed to refresh project data');
+    } finally {
+      setIsRefreshingItems(false);
+    }
+  }
+
   function getHealthBadge(health: string) {
     if (health === 'good') {
       return (
@@ -454,8 +483,10 @@ export function ProjectDetail() {
       accessorKey: 'title',
       width: 280,
       sortable: true,
-      cell: ({ value }) => (
+      cell: ({ value, row }) => (
         <span className="font-medium truncate block max-w-[260px]" title={value}>
+          {row.contentType === 'DraftIssue' && <Badge variant="outline" className="mr-1.5">Draft</Badge>}
+          {row.contentType === 'PullRequest' && <Badge variant="outline" className="mr-1.5">PR</Badge>}
           {value}
         </span>
       ),
@@ -497,8 +528,15 @@ export function ProjectDetail() {
       accessorKey: 'estimate',
       width: 80,
       sortable: true,
-      cell: ({ value }) => {
-        return value ? <span className="text-sm">{value}</span> : <span className="text-muted-foreground">-</span>;
+      cell: ({ value, row }) => {
+        if (value === undefined || value === null || value === '') {
+          return <span className="text-muted-foreground">-</span>;
+        }
+        return (
+          <span className="text-sm" title={row.estimateDays ? `${row.estimateDays} working days` : 'Not a valid estimate for this project'}>
+            {value}
+          </span>
+        );
       },
     },
     {
@@ -707,19 +745,30 @@ export function ProjectDetail() {
       ) : projectItems.length === 0 ? (
         <div className="text-center py-8 text-muted-foreground">No items in this project</div>
       ) : (
-        <DataGrid
-          columns={itemsColumns}
-          data={projectItems}
-          enableSorting
-          enableGrouping
-          groupBy="milestone"
-          groupConfig={groupConfig}
-          enableColumnChooser
-          enableColumnResizing
-          enableExport
-          exportFilename={`project-${project?.number}-items`}
-          getRowId={(row) => row.id}
-        />
+        <div className="space-y-2">
+          <div className="flex items-center justify-end gap-2 text-xs text-muted-foreground">
+            {itemsUpdatedAt && (
+              <span>Data as of {new Date(itemsUpdatedAt).toLocaleString()}</span>
+            )}
+            <Button variant="ghost" size="sm" onClick={handleRefreshItems} disabled={isRefreshingItems}>
+              <ArrowsClockwise className="h-3 w-3 mr-1" />
+              {isRefreshingItems ? 'Refreshing...' : 'Refresh'}
+            </Button>
+          </div>
+          <DataGrid
+            columns={itemsColumns}
+            data={projectItems}
+            enableSorting
+            enableGrouping
+            groupBy="milestone"
+            groupConfig={groupConfig}
+            enableColumnChooser
+            enableColumnResizing
+            enableExport
+            exportFilename={`project-${project?.number}-items`}
+            getRowId={(row) => row.id}
+          />
+        </div>
       ),
     },
     {
@@ -16,6 +16,15 @@ import { Link } from 'react-router-dom';
 import { toast } from 'sonner';
 import { PageLoadingCover } from '@/components/ui/page-loading-cover';
 
+type EstimateModel = 'tshirt' | 'points' | 'hours' | 'days';
+
+const ESTIMATE_MODEL_LABELS: Record<EstimateModel, string> = {
+  tshirt: 'T-shirt sizes',
+  points: 'Story points',
+  hours: 'Hours',
+  days: 'Days',
+};
+
 interface Project {
   id: string;
   number: number;
@@ -27,6 +36,7 @@ interface Project {
   itemCount: number;
   tracked: boolean;
   trackedIssues: number;
+  estimateModel: EstimateModel | null;
   closed: boolean;
   updatedAt: string;
 }
@@ -56,6 +66,7 @@ interface ProjectRow {
   itemCount: number;
   tracked: boolean;
   trackedIssues: number;
+  estimateModel: EstimateModel | null;
   closed: boolean;
   updatedAt: string;
   // From executive summary (only for tracked projects)
@@ -201,6 +212,20 @@ export function Projects() {
         )
       ),
     },
+    {
+      id: 'estimateModel',
+      header: 'Estimates',
+      accessorKey: 'estimateModel',
+      width: 120,
+      hidden: true,
+      cell: ({ row }) => (
+        row.estimateModel ? (
+          <span className="text-sm">{ESTIMATE_MODEL_LABELS[row.estimateModel]}</span>
+        ) : (
+          <span className="text-sm text-muted-foreground">-</span>
+        )
+      ),
+    },
     {
       id: 'total',
       header: 'Items',
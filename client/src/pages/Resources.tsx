@@ -37,6 +37,14 @@ interface ResourceItem {
   isCompleted: boolean;
 }
 
+interface Absence {
+  id: number;
+  startDate: string;
+  endDate: string;
+  reason: string | null;
+  workingDays: number;
+}
+
 interface Resource {
   login: string;
   name: string;
@@ -46,6 +54,7 @@ interface Resource {
   completedItems: number;
   totalDays: number;
   remainingDays: number;
+  upcomingAbsences?: Absence[];
   workload: 'low' | 'normal' | 'high' | 'overloaded';
   projects?: Array<{
     number: number;
@@ -81,6 +90,8 @@ interface ResourceRow {
   progress: number;
   totalDays: number;
   remainingDays: number;
+  absenceDays: number;
+  absenceSummary: string;
   workload: 'low' | 'normal' | 'high' | 'overloaded';
   projectCount: number;
   projectNames: string;
@@ -143,6 +154,10 @@ export function Resources() {
       progress: r.totalItems > 0 ? Math.round((r.completedItems / r.totalItems) * 100) : 0,
       totalDays: r.totalDays,
       remainingDays: r.remainingDays,
+      absenceDays: (r.upcomingAbsences || []).reduce((sum, a) => sum + a.workingDays, 0),
+      absenceSummary: (r.upcomingAbsences || [])
+        .map(a => (a.startDate === a.endDate ? a.startDate : `${a.startDate} – ${a.endDate}`))
+        .join(', '),
       workload: r.workload,
       projectCount: r.projects?.length || 0,
       projectNames: r.projects?.map(p => p.title).join(', ') || '',
@@ -253,6 +268,18 @@ export function Resources() {
         </span>
       ),
     },
+    {
+      id: 'absenceDays',
+      header: 'Upcoming Time Off',
+      accessorKey: 'absenceDays',
+      width: 160,
+      sortable: true,
+      cell: ({ row }) => (
+        <span className="text-sm text-muted-foreground truncate block max-w-[150px]" title={row.absenceSummary}>
+          {row.absenceDays > 0 ? `${row.absenceDays} day${row.absenceDays !== 1 ? 's' : ''}` : '-'}
+        </span>
+      ),
+    },
     {
       id: 'projectCount',
       header: 'Projects',
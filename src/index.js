@@ -20,6 +20,7 @@ import cookieSession from 'cookie-session';
 import rateLimit from 'express-rate-limit';
 import multer from 'multer';
 import { pino } from 'pino';
+import { LRUCache } from 'lru-cache';
 import { createWebhookHandler } from './webhooks/handler.js';
 import {
   initDatabase,
@@ -41,6 +42,7 @@ import {
   updateRisk,
   deleteRisk,
   getRiskSummary,
+  getBaselineByName,
   RISK_SEVERITIES,
   RISK_STATUSES
 } from './lib/database.js';
@@ -63,7 +65,12 @@ import {
   PLAN_FEATURES
 } from './lib/stripe.js';
 import authRoutes from './routes/auth.js';
-import { ProjectFlowEngine } from './lib/engine.js';
+import { ProjectFlowEngine, itemKey, milestoneKey, projectItemKey } from './lib/engine.js';
+import { calculateEarnedValue, summarizeEarnedValue } from './lib/evm.js';
+import { startJobWorker } from './lib/jobs.js';
+import { parsePercentComplete } from './lib/risk.js';
+import { DEFAULT_FIELD_NAMES, getFieldNames, normalizeFieldName, validateFieldNames } from './lib/project-fields.js';
+import { ESTIMATE_MODELS, getEstimation, validateEstimation } from './lib/estimates.js';
 
 // Logger
 const logger = pino({
@@ -310,6 +317,62 @@ app.put('/api/installations/:installationId/settings', async (req, res) => {
   }
 });
 
+// Background job status (queued, running and failed jobs by default)
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+app.get('/api/installations/:installationId/jobs', validateInstallationId, async (req, res) => {
+  try {
+    const { getInstallation, getJobs, getJobCounts } = await import('./lib/database.js');
+    const installation = getInstallation(req.installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').filter(status => JOB_STATUSES.includes(status))
+      : ['queued', 'running', 'failed'];
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const jobs = getJobs(req.installationId, { statuses, limit }).map(job => ({
+      id: job.id,
+      type: job.type,
+      projectNumber: job.project_number,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      lastError: job.last_error,
+      payload: job.payload,
+      runAt: job.run_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      createdAt: job.created_at
+    }));
+
+    res.json({ counts: getJobCounts(req.installationId), jobs });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get jobs');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Requeue a failed (dead-lettered) job
+app.post('/api/installations/:installationId/jobs/:jobId/retry', validateInstallationId, async (req, res) => {
+  try {
+    const { retryFailedJob } = await import('./lib/database.js');
+    const jobId = parseInt(req.params.jobId);
+
+    if (!retryFailedJob(req.installationId, jobId)) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+
+    logger.info({ installationId: req.installationId, jobId }, 'Failed job requeued');
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to retry job');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get all GitHub Projects for an installation with tracking status
 app.get('/api/installations/:installationId/projects', async (req, res) => {
   try {
@@ -448,11 +511,15 @@ app.get('/api/installations/:installationId/projects', async (req, res) => {
     const trackedProjectNumbers = new Set(trackedProjects.map(p => p.project_number));
 
     // Mark which projects are tracked
-    const projectsWithStatus = projects.map(p => ({
-      ...p,
-      tracked: trackedProjectNumbers.has(p.number),
-      trackedIssues: trackedProjects.find(tp => tp.project_number === p.number)?.tracked_issues || 0
-    }));
+    const projectsWithStatus = projects.map(p => {
+      const trackedProject = trackedProjects.find(tp => tp.project_number === p.number);
+      return {
+        ...p,
+        tracked: trackedProjectNumbers.has(p.number),
+        trackedIssues: trackedProject?.tracked_issues || 0,
+        estimateModel: trackedProject ? getEstimation(trackedProject.settings).model : null
+      };
+    });
 
     // Sort: tracked first, then by updated date
     projectsWithStatus.sort((a, b) => {
@@ -1272,6 +1339,7 @@ app.get('/api/installations/:installationId/projects/:projectNumber/risks', asyn
       parseInt(projectNumber)
     );
 
+    setFreshnessHeaders(res, engine);
     res.json(riskReport);
   } catch (error) {
     logger.error({ error, installationId, projectNumber }, 'Failed to get risk assessment');
@@ -1518,6 +1586,7 @@ app.get('/api/installations/:installationId/projects/:projectNumber/dependencies
       parseInt(projectNumber)
     );
 
+    setFreshnessHeaders(res, engine);
     res.json(graphData);
   } catch (error) {
     logger.error({ error, installationId, projectNumber }, 'Failed to get dependency graph');
@@ -1525,6 +1594,280 @@ app.get('/api/installations/:installationId/projects/:projectNumber/dependencies
   }
 });
 
+// Monte Carlo forecast of finish dates for a project
+app.get('/api/installations/:installationId/projects/:projectNumber/forecast', async (req, res) => {
+  const { installationId, projectNumber } = req.params;
+
+  try {
+    const installation = getInstallation(parseInt(installationId));
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const percentiles = req.query.percentiles
+      ? String(req.query.percentiles).split(',').map(p => parseInt(p)).filter(p => p > 0 && p < 100)
+      : undefined;
+
+    const engine = new ProjectFlowEngine(parseInt(installationId), logger, { userToken });
+    const forecast = await engine.getScheduleForecast(
+      installation.account_login,
+      parseInt(projectNumber),
+      {
+        iterations: req.query.iterations,
+        seed: req.query.seed !== undefined ? parseInt(req.query.seed) : undefined,
+        percentiles
+      }
+    );
+
+    res.json(forecast);
+  } catch (error) {
+    logger.error({ error, installationId, projectNumber }, 'Failed to forecast schedule');
+    res.status(500).json({ error: 'Failed to forecast schedule' });
+  }
+});
+
+// Earned value (PV, EV, AC, SPI, CPI) per item, milestone and project as of a date
+app.get('/api/installations/:installationId/projects/:projectNumber/earned-value', async (req, res) => {
+  const { installationId, projectNumber } = req.params;
+  const { asOf, baselineId } = req.query;
+
+  try {
+    const installation = getInstallation(parseInt(installationId));
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return res.status(400).json({ error: 'asOf must be a YYYY-MM-DD date' });
+    }
+
+    const engine = new ProjectFlowEngine(parseInt(installationId), logger, { userToken });
+    const earnedValue = await engine.getEarnedValue(
+      installation.account_login,
+      parseInt(projectNumber),
+      { asOf, baselineId: baselineId ? parseInt(baselineId) : null }
+    );
+
+    res.json(earnedValue);
+  } catch (error) {
+    logger.error({ error, installationId, projectNumber }, 'Failed to calculate earned value');
+    res.status(500).json({ error: 'Failed to calculate earned value' });
+  }
+});
+
+// Earned value over time (daily or weekly points)
+app.get('/api/installations/:installationId/projects/:projectNumber/earned-value/series', async (req, res) => {
+  const { installationId, projectNumber } = req.params;
+  const { from, to, interval, baselineId } = req.query;
+
+  try {
+    const installation = getInstallation(parseInt(installationId));
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    for (const date of [from, to]) {
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+      }
+    }
+
+    const engine = new ProjectFlowEngine(parseInt(installationId), logger, { userToken });
+    const series = await engine.getEarnedValueSeries(
+      installation.account_login,
+      parseInt(projectNumber),
+      { from, to, interval, baselineId: baselineId ? parseInt(baselineId) : null }
+    );
+
+    res.json(series);
+  } catch (error) {
+    logger.error({ error, installationId, projectNumber }, 'Failed to calculate earned value series');
+    res.status(500).json({ error: 'Failed to calculate earned value series' });
+  }
+});
+
+// Date history for one issue (every Start/Target change the engine made)
+// ?repository=owner/repo picks the issue when several repositories share the number
+app.get('/api/installations/:installationId/projects/:projectNumber/issues/:issueNumber/date-history', async (req, res) => {
+  try {
+    const { getIssueDateHistory } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const issueNumber = parseInt(req.params.issueNumber);
+    const repository = req.query.repository ? String(req.query.repository) : null;
+
+    if (!getInstallation(installationId)) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const history = getIssueDateHistory(
+      installationId,
+      parseInt(req.params.projectNumber),
+      issueNumber,
+      repository ? itemKey(repository, issueNumber) : null
+    );
+
+    res.json(history.map(entry => ({
+      id: entry.id,
+      key: entry.item_key,
+      recordedAt: entry.recorded_at,
+      trigger: entry.trigger_type,
+      triggerDetail: entry.trigger_detail,
+      previousStart: entry.previous_start,
+      previousTarget: entry.previous_target,
+      startDate: entry.start_date,
+      targetDate: entry.target_date
+    })));
+  } catch (error) {
+    logger.error({ error }, 'Failed to get issue date history');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Project slip trend: projected end and milestone finishes over time
+app.get('/api/installations/:installationId/projects/:projectNumber/schedule-trend', async (req, res) => {
+  try {
+    const { getScheduleSnapshots, getScheduleChanges } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    if (!getInstallation(installationId)) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 90, 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      .toISOString().replace('T', ' ').split('.')[0];
+
+    const snapshots = getScheduleSnapshots(installationId, projectNumber, { since });
+
+    // One series per milestone, in snapshot order
+    const milestones = new Map();
+    for (const snapshot of snapshots) {
+      for (const milestone of snapshot.milestones) {
+        // Snapshots recorded before milestone keys existed only have the number
+        const key = milestone.key || String(milestone.number);
+        if (!milestones.has(key)) {
+          milestones.set(key, { key, number: milestone.number, title: milestone.title, dueOn: milestone.dueOn, series: [] });
+        }
+        const entry = milestones.get(key);
+        entry.title = milestone.title;
+        entry.dueOn = milestone.dueOn;
+        entry.series.push({ recordedAt: snapshot.recorded_at, projectedFinish: milestone.projectedFinish });
+      }
+    }
+
+    const recentChanges = getScheduleChanges(installationId, projectNumber, { since, limit: 50 })
+      .map(entry => ({
+        key: entry.item_key,
+        issueNumber: entry.issue_number,
+        recordedAt: entry.recorded_at,
+        trigger: entry.trigger_type,
+        triggerDetail: entry.trigger_detail,
+        previousTarget: entry.previous_target,
+        targetDate: entry.target_date
+      }));
+
+    res.json({
+      days,
+      project: snapshots.map(snapshot => ({
+        recordedAt: snapshot.recorded_at,
+        trigger: snapshot.trigger_type,
+        projectEnd: snapshot.project_end,
+        updatedCount: snapshot.updated_count
+      })),
+      milestones: Array.from(milestones.values()),
+      recentChanges
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get schedule trend');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Tell clients where a response's project data came from and when it was last updated
+ */
+function setFreshnessHeaders(res, engine) {
+  const status = engine.getCacheStatus();
+  if (!status) return;
+
+  res.set('X-Data-Source', status.source);
+  res.set('X-Data-Updated-At', new Date(status.updatedAt + 'Z').toISOString());
+  res.set('X-Data-Loaded-At', new Date(status.loadedAt + 'Z').toISOString());
+}
+
+// Freshness of a project's cached items
+app.get('/api/installations/:installationId/projects/:projectNumber/cache', async (req, res) => {
+  try {
+    const { getProjectCache } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    if (!getInstallation(installationId)) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const cache = getProjectCache(installationId, parseInt(req.params.projectNumber));
+    if (!cache) {
+      return res.json({ cached: false });
+    }
+
+    res.json({
+      cached: true,
+      itemCount: cache.item_count,
+      loadedAt: new Date(cache.loaded_at + 'Z').toISOString(),
+      updatedAt: new Date(cache.updated_at + 'Z').toISOString()
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get project cache status');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reload a project's items from GitHub into the cache
+app.post('/api/installations/:installationId/projects/:projectNumber/cache/refresh', async (req, res) => {
+  const { installationId, projectNumber } = req.params;
+
+  try {
+    const installation = getInstallation(parseInt(installationId));
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const engine = new ProjectFlowEngine(parseInt(installationId), logger, { userToken });
+    await engine.loadProjectItems(installation.account_login, parseInt(projectNumber), { refresh: true });
+
+    setFreshnessHeaders(res, engine);
+    res.json({
+      success: true,
+      itemCount: engine.rawItems.size,
+      ...engine.getCacheStatus()
+    });
+  } catch (error) {
+    logger.error({ error, installationId, projectNumber }, 'Failed to refresh project cache');
+    res.status(500).json({ error: 'Failed to refresh project cache' });
+  }
+});
+
 // ============================================================
 // Executive Dashboard Endpoints
 // ============================================================
@@ -1579,9 +1922,12 @@ app.get('/api/installations/:installationId/executive-summary', async (req, res)
         ahead: 0,
         noBaseline: 0
       },
+      earnedValue: null,
       projectDetails: []
     };
 
+    const earnedValueTotals = { bac: 0, pv: 0, ev: 0, ac: 0 };
+
     // Gather data from each project
     for (const project of projects) {
       const projectData = {
@@ -1591,6 +1937,8 @@ app.get('/api/installations/:installationId/executive-summary', async (req, res)
         items: { total: 0, completed: 0, remaining: 0 },
         risks: { critical: 0, high: 0, medium: 0, low: 0 },
         timeline: { onTrack: 0, behind: 0, ahead: 0 },
+        earnedValue: null,
+        freshness: null,
         health: 'good' // good, warning, critical
       };
 
@@ -1609,6 +1957,15 @@ app.get('/api/installations/:installationId/executive-summary', async (req, res)
           project.project_number
         );
 
+        // Earned value against the Baseline Start/Target fields
+        const earnedValue = calculateEarnedValue(engine);
+        projectData.earnedValue = earnedValue.project;
+        projectData.freshness = engine.getCacheStatus();
+        earnedValueTotals.bac += earnedValue.project.bac;
+        earnedValueTotals.pv += earnedValue.project.pv;
+        earnedValueTotals.ev += earnedValue.project.ev;
+        earnedValueTotals.ac += earnedValue.project.ac;
+
         // Calculate items
         const items = Array.from(engine.projectItems.values());
         projectData.items.total = items.length;
@@ -1676,6 +2033,8 @@ app.get('/api/installations/:installationId/executive-summary', async (req, res)
       }
     }
 
+    summary.earnedValue = summarizeEarnedValue(earnedValueTotals);
+
     // Calculate project status
     summary.projects.byStatus.open = projects.filter(p => !p.closed_at).length;
     summary.projects.byStatus.closed = projects.length - summary.projects.byStatus.open;
@@ -1701,6 +2060,143 @@ app.get('/api/installations/:installationId/executive-summary', async (req, res)
   }
 });
 
+// ============================================================
+// Calendar Feed Endpoints (.ics export of the calculated schedule)
+// ============================================================
+
+// Calendar apps poll feeds frequently; serve recent results from memory
+const FEED_CACHE_TTL_MS = 15 * 60 * 1000;
+const feedCache = new LRUCache({
+  max: 500, // Feed bodies kept at once
+  ttl: FEED_CACHE_TTL_MS
+});
+
+// List calendar feeds for a project
+app.get('/api/installations/:installationId/projects/:projectNumber/feeds', requireAuth, async (req, res) => {
+  try {
+    const { getCalendarFeeds } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    if (!getInstallation(installationId)) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+    const feeds = getCalendarFeeds(installationId, projectNumber).map(feed => ({
+      ...feed,
+      url: `${baseUrl}/api/feeds/${feed.token}.ics`
+    }));
+
+    res.json(feeds);
+  } catch (error) {
+    logger.error({ error }, 'Failed to list calendar feeds');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a calendar feed (optionally limited to one assignee)
+app.post('/api/installations/:installationId/projects/:projectNumber/feeds', requireAuth, async (req, res) => {
+  try {
+    const { createCalendarFeed, getProject, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    if (!getProject(installationId, installation.account_login, projectNumber)) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    const assignee = req.body.assignee?.trim() || null;
+    const feed = createCalendarFeed(installationId, projectNumber, {
+      assignee,
+      createdBy: req.session.user.login
+    });
+
+    logAudit(installationId, 'feed.created', { projectNumber, feedId: feed.id, assignee });
+
+    const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+    res.json({ ...feed, url: `${baseUrl}/api/feeds/${feed.token}.ics` });
+  } catch (error) {
+    logger.error({ error }, 'Failed to create calendar feed');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a calendar feed
+app.delete('/api/installations/:installationId/feeds/:feedId', requireAuth, async (req, res) => {
+  try {
+    const { getCalendarFeed, deleteCalendarFeed, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const feed = getCalendarFeed(parseInt(req.params.feedId));
+    if (!feed || feed.installation_id !== installationId) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    deleteCalendarFeed(feed.id);
+    feedCache.delete(feed.token);
+    logAudit(installationId, 'feed.revoked', { projectNumber: feed.project_number, feedId: feed.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to revoke calendar feed');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Public feed - the token is the only credential
+app.get('/api/feeds/:token.ics', async (req, res) => {
+  try {
+    const { getCalendarFeedByToken, getProject, getOAuthToken, touchCalendarFeed } = await import('./lib/database.js');
+    const { buildICalendar } = await import('./lib/ical.js');
+
+    const feed = getCalendarFeedByToken(req.params.token);
+    const installation = feed && getInstallation(feed.installation_id);
+    if (!installation) {
+      return res.status(404).send('Not found');
+    }
+
+    touchCalendarFeed(feed.id);
+
+    let body = feedCache.get(feed.token);
+    if (!body) {
+      const owner = installation.account_login;
+      const project = getProject(feed.installation_id, owner, feed.project_number);
+      if (!project) {
+        return res.status(404).send('Not found');
+      }
+
+      // Feeds have no session; use the installation's stored OAuth token like background jobs do
+      const engine = new ProjectFlowEngine(feed.installation_id, logger, {
+        userToken: getOAuthToken(feed.installation_id)
+      });
+      const events = await engine.getScheduleEvents(owner, feed.project_number, { assignee: feed.assignee });
+
+      const title = `${owner} project #${feed.project_number}`;
+      body = buildICalendar({
+        name: feed.assignee ? `${title} (${feed.assignee})` : title,
+        events: events.map(event => ({
+          ...event,
+          uid: `${feed.installation_id}-${feed.project_number}-${event.uid}`
+        }))
+      });
+      feedCache.set(feed.token, body);
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(body);
+  } catch (error) {
+    logger.error({ error }, 'Failed to generate calendar feed');
+    res.status(500).send('Failed to generate calendar feed');
+  }
+});
+
 // ============================================================
 // Milestone/Release Planning Endpoints
 // ============================================================
@@ -1726,6 +2222,7 @@ app.get('/api/installations/:installationId/projects/:projectNumber/milestones',
       parseInt(projectNumber)
     );
 
+    setFreshnessHeaders(res, engine);
     res.json(milestoneData);
   } catch (error) {
     logger.error({ error, installationId, projectNumber }, 'Failed to get milestones');
@@ -1742,8 +2239,6 @@ app.get('/api/installations/:installationId/projects/:projectNumber/items', asyn
   const { installationId, projectNumber } = req.params;
 
   try {
-    const { Octokit } = await import('@octokit/rest');
-
     const installation = getInstallation(parseInt(installationId));
     if (!installation) {
       return res.status(404).json({ error: 'Installation not found' });
@@ -1754,124 +2249,29 @@ app.get('/api/installations/:installationId/projects/:projectNumber/items', asyn
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const octokit = new Octokit({ auth: userToken });
-    const accountLogin = installation.account_login;
-    const accountType = installation.account_type;
-    const ownerType = accountType === 'Organization' ? 'organization' : 'user';
-
-    // GraphQL query to get all project items with full details
-    const query = `
-      query($login: String!, $number: Int!, $cursor: String) {
-        ${ownerType}(login: $login) {
-          projectV2(number: $number) {
-            id
-            items(first: 100, after: $cursor) {
-              pageInfo {
-                hasNextPage
-                endCursor
-              }
-              nodes {
-                id
-                content {
-                  ... on Issue {
-                    number
-                    title
-                    state
-                    closedAt
-                    url
-                    issueType {
-                      name
-                    }
-                    labels(first: 10) {
-                      nodes {
-                        name
-                        color
-                      }
-                    }
-                    milestone {
-                      number
-                      title
-                    }
-                    assignees(first: 10) {
-                      nodes {
-                        login
-                        name
-                        avatarUrl
-                      }
-                    }
-                  }
-                  ... on DraftIssue {
-                    title
-                  }
-                }
-                fieldValues(first: 20) {
-                  nodes {
-                    ... on ProjectV2ItemFieldDateValue {
-                      field { ... on ProjectV2Field { name } }
-                      date
-                    }
-                    ... on ProjectV2ItemFieldSingleSelectValue {
-                      field { ... on ProjectV2SingleSelectField { name } }
-                      name
-                    }
-                    ... on ProjectV2ItemFieldNumberValue {
-                      field { ... on ProjectV2Field { name } }
-                      number
-                    }
-                    ... on ProjectV2ItemFieldTextValue {
-                      field { ... on ProjectV2Field { name } }
-                      text
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    // Fetch all items with pagination
-    const allItems = [];
-    let hasNextPage = true;
-    let cursor = null;
-
-    while (hasNextPage) {
-      const result = await octokit.graphql(query, {
-        login: accountLogin,
-        number: parseInt(projectNumber),
-        cursor
-      });
-
-      const projectData = result[ownerType]?.projectV2;
-      if (!projectData) {
-        return res.status(404).json({ error: 'Project not found' });
-      }
-
-      const items = projectData.items?.nodes || [];
-      allItems.push(...items);
-
-      hasNextPage = projectData.items?.pageInfo?.hasNextPage || false;
-      cursor = projectData.items?.pageInfo?.endCursor;
-    }
+    // Served from the project item cache (see engine.loadProjectItems)
+    const engine = new ProjectFlowEngine(parseInt(installationId), logger, { userToken });
+    await engine.loadProjectItems(installation.account_login, parseInt(projectNumber));
+    const allItems = Array.from(engine.rawItems.values());
 
     // Transform items for the frontend
     const transformedItems = allItems
-      .filter(item => item.content?.number) // Only include actual issues (not drafts)
+      .filter(item => projectItemKey(item)) // Issues, pull requests and drafts
       .map(item => {
         const content = item.content;
         const fieldValues = {};
 
-        // Extract field values
+        // Extract field values (keyed by normalized name so mapped names match any case)
         for (const fv of item.fieldValues.nodes) {
           if (!fv.field?.name) continue;
-          const fieldName = fv.field.name;
+          const fieldName = normalizeFieldName(fv.field.name);
 
           if (fv.date !== undefined) fieldValues[fieldName] = fv.date;
           if (fv.name !== undefined) fieldValues[fieldName] = fv.name;
           if (fv.number !== undefined) fieldValues[fieldName] = fv.number;
           if (fv.text !== undefined) fieldValues[fieldName] = fv.text;
         }
+        const mappedValue = (fieldKey) => fieldValues[normalizeFieldName(engine.fieldNames[fieldKey])];
 
         // Determine item type - check native issueType, then project "Type" field, then labels
         const labels = content.labels?.nodes || [];
@@ -1894,7 +2294,7 @@ app.get('/api/installations/:installationId/projects/:projectNumber/items', asyn
           }
         } else {
           // Fall back to project "Type" field
-          const typeFieldValue = fieldValues['Type'];
+          const typeFieldValue = fieldValues[normalizeFieldName('Type')];
           if (typeFieldValue) {
             const typeLower = typeFieldValue.toLowerCase();
             if (typeLower === 'epic' || typeLower.includes('epic')) {
@@ -1928,40 +2328,42 @@ app.get('/api/installations/:installationId/projects/:projectNumber/items', asyn
         }
 
         // Use closedAt if no Actual End Date
-        let actualEndDate = fieldValues['Actual End Date'];
+        let actualEndDate = mappedValue('actualEndDate');
         if (!actualEndDate && content.closedAt) {
           actualEndDate = content.closedAt.split('T')[0];
         }
 
-        // Parse % Complete
-        let percentComplete = 0;
-        if (fieldValues['% Complete']) {
-          const match = String(fieldValues['% Complete']).match(/(\d+)/);
-          if (match) {
-            percentComplete = parseInt(match[1]);
-          }
-        }
+        const percentComplete = parsePercentComplete(mappedValue('percentComplete'));
+
+        const repository = content.repository?.nameWithOwner || null;
+        // Merged pull requests count as closed; drafts are always open
+        const state = content.state === 'MERGED' ? 'CLOSED' : (content.state || 'OPEN');
 
         return {
           id: item.id,
-          issueNumber: content.number,
+          key: projectItemKey(item),
+          contentType: content.__typename,
+          repository,
+          issueNumber: content.number ?? null,
           type,
           title: content.title,
-          url: content.url,
-          state: content.state,
+          url: content.url || null,
+          state,
           assignees: (content.assignees?.nodes || []).map(a => ({
             login: a.login,
             name: a.name || a.login,
             avatarUrl: a.avatarUrl
           })),
-          status: fieldValues['Status'] || (content.state === 'CLOSED' ? 'Done' : 'Todo'),
-          estimate: fieldValues['Estimate'],
-          startDate: fieldValues['Start Date'],
-          targetDate: fieldValues['Target Date'],
+          status: mappedValue('status') || (state === 'CLOSED' ? 'Done' : 'Todo'),
+          estimate: mappedValue('estimate'),
+          estimateDays: engine.getEstimateDays(mappedValue('estimate')),
+          startDate: mappedValue('startDate'),
+          targetDate: mappedValue('targetDate'),
           actualEndDate,
           percentComplete,
           milestone: content.milestone?.title || 'No Milestone',
           milestoneNumber: content.milestone?.number,
+          milestoneKey: content.milestone ? milestoneKey(repository, content.milestone.number) : null,
           labels: labels.map(l => ({ name: l.name, color: l.color }))
         };
       });
@@ -1972,6 +2374,7 @@ app.get('/api/installations/:installationId/projects/:projectNumber/items', asyn
       itemCount: transformedItems.length
     }, 'Project items fetched');
 
+    setFreshnessHeaders(res, engine);
     res.json(transformedItems);
   } catch (error) {
     const errorDetails = {
@@ -2013,6 +2416,7 @@ app.get('/api/installations/:installationId/projects/:projectNumber/resources',
       parseInt(projectNumber)
     );
 
+    setFreshnessHeaders(res, engine);
     res.json(resourceData);
   } catch (error) {
     logger.error({ error, installationId, projectNumber }, 'Failed to get resource allocation');
@@ -2020,6 +2424,35 @@ app.get('/api/installations/:installationId/projects/:projectNumber/resources',
   }
 });
 
+// Preview resource leveling for a project (nothing is written back)
+app.get('/api/installations/:installationId/projects/:projectNumber/leveling', async (req, res) => {
+  const { installationId, projectNumber } = req.params;
+
+  try {
+    const installation = getInstallation(parseInt(installationId));
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const engine = new ProjectFlowEngine(parseInt(installationId), logger, { userToken, resourceLeveling: true });
+    await engine.loadProjectItems(installation.account_login, parseInt(projectNumber));
+    engine.calculateAllDates();
+
+    res.json({
+      enabled: engine.isLevelingConfigured(),
+      pushed: engine.levelingReport.pushed
+    });
+  } catch (error) {
+    logger.error({ error, installationId, projectNumber }, 'Failed to preview resource leveling');
+    res.status(500).json({ error: 'Failed to preview resource leveling' });
+  }
+});
+
 // Get resource allocation summary across all projects
 app.get('/api/installations/:installationId/resources/summary', async (req, res) => {
   const { installationId } = req.params;
@@ -2102,6 +2535,7 @@ app.get('/api/installations/:installationId/resources/summary', async (req, res)
       summary: {
         totalAssignees: resources.length,
         unassignedItems: totalUnassigned,
+        assigneesWithUpcomingAbsences: resources.filter(r => r.upcomingAbsences?.length > 0).length,
         byWorkload: {
           overloaded: resources.filter(r => r.workload === 'overloaded').length,
           high: resources.filter(r => r.workload === 'high').length,
@@ -2154,8 +2588,16 @@ app.get('/api/installations/:installationId/executive-summary/export', async (re
         ['Behind', summary.timeline.behind],
         ['Ahead', summary.timeline.ahead],
         [],
+        ['Earned Value (working days)'],
+        ['Planned Value (PV)', summary.earnedValue?.pv ?? ''],
+        ['Earned Value (EV)', summary.earnedValue?.ev ?? ''],
+        ['Actual Cost (AC)', summary.earnedValue?.ac ?? ''],
+        ['Schedule Variance (SV)', summary.earnedValue?.sv ?? ''],
+        ['SPI', summary.earnedValue?.spi ?? ''],
+        ['CPI', summary.earnedValue?.cpi ?? ''],
+        [],
         ['Project Details'],
-        ['Project', 'Total Items', 'Completed', 'Critical Risks', 'High Risks', 'Behind Schedule', 'Health']
+        ['Project', 'Total Items', 'Completed', 'Critical Risks', 'High Risks', 'Behind Schedule', 'PV', 'EV', 'SV', 'SPI', 'CPI', 'Health']
       ];
 
       for (const project of summary.projectDetails) {
@@ -2166,6 +2608,11 @@ app.get('/api/installations/:installationId/executive-summary/export', async (re
           project.risks.critical,
           project.risks.high,
           project.timeline.behind,
+          project.earnedValue?.pv ?? '',
+          project.earnedValue?.ev ?? '',
+          project.earnedValue?.sv ?? '',
+          project.earnedValue?.spi ?? '',
+          project.earnedValue?.cpi ?? '',
           project.health
         ]);
       }
@@ -2228,7 +2675,7 @@ app.post('/api/admin/seed-project', async (req, res) => {
   }
 
   try {
-    const { createProject, getInstallationSettings } = await import('./lib/database.js');
+    const { createProject, getInstallationSettings, getProject } = await import('./lib/database.js');
     createProject(installationId, owner, repo || null, projectNumber, projectId);
     logger.info({ installationId, owner, projectNumber }, 'Project seeded via admin endpoint');
 
@@ -2246,7 +2693,12 @@ app.post('/api/admin/seed-project', async (req, res) => {
       const subscription = await getSubscriptionStatus(settings?.stripeCustomerId);
       const includePro = subscription.plan === 'pro';
 
-      fieldResult = await ensureProjectFields(octokit, projectId, logger, { includePro });
+      const project = getProject(installationId, owner, projectNumber);
+      fieldResult = await ensureProjectFields(octokit, projectId, logger, {
+        includePro,
+        fieldNames: getFieldNames(project?.settings),
+        estimateModel: getEstimation(project?.settings).model
+      });
     }
 
     res.json({
@@ -2265,7 +2717,7 @@ app.post('/api/admin/seed-project', async (req, res) => {
 // Setup project fields endpoint
 app.post('/api/installations/:installationId/projects/:projectId/setup-fields', async (req, res) => {
   try {
-    const { getInstallationSettings, getProject } = await import('./lib/database.js');
+    const { getInstallationSettings, getProjectByNodeId } = await import('./lib/database.js');
     const { getGitHubAuth } = await import('./lib/github-auth.js');
     const { ensureProjectFields, REQUIRED_FIELDS } = await import('./lib/project-fields.js');
 
@@ -2281,8 +2733,14 @@ app.post('/api/installations/:installationId/projects/:projectId/setup-fields',
     const auth = getGitHubAuth();
     const octokit = await auth.getInstallationOctokit(installationId);
 
-    // Ensure fields exist
-    const result = await ensureProjectFields(octokit, projectId, logger, { includePro });
+    // Ensure fields exist under the project's mapped names
+    const project = getProjectByNodeId(installationId, projectId);
+    const fieldNames = getFieldNames(project?.settings);
+    const result = await ensureProjectFields(octokit, projectId, logger, {
+      includePro,
+      fieldNames,
+      estimateModel: getEstimation(project?.settings).model
+    });
 
     logger.info({
       installationId,
@@ -2294,7 +2752,9 @@ app.post('/api/installations/:installationId/projects/:projectId/setup-fields',
     res.json({
       success: true,
       ...result,
-      requiredFields: Object.keys(REQUIRED_FIELDS).filter(f => !REQUIRED_FIELDS[f].pro || includePro)
+      requiredFields: Object.keys(REQUIRED_FIELDS)
+        .filter(f => !REQUIRED_FIELDS[f].pro || includePro)
+        .map(f => fieldNames[f])
     });
   } catch (error) {
     logger.error({ error }, 'Failed to setup project fields');
@@ -2307,7 +2767,7 @@ app.post('/api/installations/:installationId/recalculate', async (req, res) => {
   try {
     const { getInstallationSettings, getProject } = await import('./lib/database.js');
     const installationId = parseInt(req.params.installationId);
-    const { owner, projectNumber, setupFields = true } = req.body;
+    const { owner, projectNumber, setupFields = true, dryRun = false } = req.body;
 
     if (!owner || !projectNumber) {
       return res.status(400).json({ error: 'Missing required fields: owner, projectNumber' });
@@ -2319,6 +2779,30 @@ app.post('/api/installations/:installationId/recalculate', async (req, res) => {
     const maxTrackedIssues = PLAN_FEATURES[subscription.plan].maxTrackedIssues;
     const includePro = subscription.plan === 'pro';
 
+    // Dry run: compute the diff and store it for /recalculate/apply, write nothing
+    if (dryRun) {
+      const { createRecalculationPreview, deleteExpiredRecalculationPreviews } = await import('./lib/database.js');
+      const { ProjectFlowEngine } = await import('./lib/engine.js');
+      const engine = new ProjectFlowEngine(installationId, logger, { maxTrackedIssues });
+      const preview = await engine.previewRecalculation(owner, parseInt(projectNumber), { refresh: true });
+
+      deleteExpiredRecalculationPreviews();
+      const stored = createRecalculationPreview(installationId, parseInt(projectNumber), {
+        owner,
+        changes: preview.changes,
+        createdBy: req.session?.user?.login || null
+      });
+
+      return res.json({
+        dryRun: true,
+        previewId: stored.token,
+        ...preview,
+        limitReached: engine.limitReached,
+        totalItems: engine.totalItemsFound,
+        processedItems: engine.projectItems.size
+      });
+    }
+
     // Auto-setup fields if requested (default true)
     let fieldResult = null;
     if (setupFields) {
@@ -2329,7 +2813,11 @@ app.post('/api/installations/:installationId/recalculate', async (req, res) => {
 
         const auth = getGitHubAuth();
         const octokit = await auth.getInstallationOctokit(installationId);
-        fieldResult = await ensureProjectFields(octokit, project.project_id, logger, { includePro });
+        fieldResult = await ensureProjectFields(octokit, project.project_id, logger, {
+          includePro,
+          fieldNames: getFieldNames(project.settings),
+          estimateModel: getEstimation(project.settings).model
+        });
 
         if (fieldResult.createdFields.length > 0) {
           logger.info({ createdFields: fieldResult.createdFields }, 'Auto-created missing project fields');
@@ -2339,11 +2827,20 @@ app.post('/api/installations/:installationId/recalculate', async (req, res) => {
 
     const { ProjectFlowEngine } = await import('./lib/engine.js');
     const engine = new ProjectFlowEngine(installationId, logger, { maxTrackedIssues });
-    await engine.recalculateAll(owner, parseInt(projectNumber));
+    const result = await engine.recalculateAll(owner, parseInt(projectNumber), {
+      trigger: 'manual',
+      triggerDetail: req.session?.user?.login || null,
+      refresh: true
+    });
 
     res.json({
       success: true,
       message: 'Recalculation complete',
+      dependencyCycles: result.cycles,
+      leveling: result.leveling,
+      unresolvedBlockers: result.unresolvedBlockers,
+      updated: result.updated,
+      failed: result.failed,
       limitReached: engine.limitReached,
       totalItems: engine.totalItemsFound,
       processedItems: engine.projectItems.size,
@@ -2355,6 +2852,66 @@ app.post('/api/installations/:installationId/recalculate', async (req, res) => {
   }
 });
 
+// Apply a dry-run recalculation exactly as previewed
+app.post('/api/installations/:installationId/recalculate/apply', async (req, res) => {
+  try {
+    const {
+      getRecalculationPreview,
+      markRecalculationPreviewApplied,
+      releaseRecalculationPreview
+    } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const { previewId } = req.body;
+
+    if (!previewId) {
+      return res.status(400).json({ error: 'Missing required field: previewId' });
+    }
+
+    const preview = getRecalculationPreview(installationId, previewId);
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found or expired' });
+    }
+    // Claim the preview so concurrent requests can't apply it twice;
+    // it's released again if applying fails
+    if (!markRecalculationPreviewApplied(preview.id)) {
+      return res.status(409).json({ error: 'Preview has already been applied' });
+    }
+
+    let result;
+    try {
+      const { ProjectFlowEngine } = await import('./lib/engine.js');
+      const engine = new ProjectFlowEngine(installationId, logger);
+      result = await engine.applyRecalculation(preview.owner, preview.project_number, preview.changes, {
+        triggerDetail: req.session?.user?.login || null
+      });
+    } catch (error) {
+      releaseRecalculationPreview(preview.id);
+      throw error;
+    }
+
+    // Failed writes stay in the preview, narrowed to the fields that failed, so it can be applied again for them
+    const failedFields = new Map(result.failed.map(failure => [failure.key, failure.fields]));
+    const retryable = failedFields.size > 0;
+    if (retryable) {
+      releaseRecalculationPreview(preview.id, preview.changes
+        .filter(change => failedFields.has(change.key))
+        .map(change => ({ ...change, fields: failedFields.get(change.key) })));
+    }
+
+    res.json({
+      success: true,
+      message: retryable
+        ? 'Previewed changes applied; apply the preview again to retry failed items'
+        : 'Previewed changes applied',
+      retryable,
+      ...result
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to apply recalculation preview');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/installations/:installationId/save-baseline', async (req, res) => {
   try {
     const { getInstallationSettings } = await import('./lib/database.js');
@@ -2374,21 +2931,132 @@ app.post('/api/installations/:installationId/save-baseline', async (req, res) =>
       });
     }
 
-    const { owner, projectNumber } = req.body;
+    const { owner, projectNumber, name, description } = req.body;
     if (!owner || !projectNumber) {
       return res.status(400).json({ error: 'Missing required fields: owner, projectNumber' });
     }
 
+    if (name && getBaselineByName(installationId, parseInt(projectNumber), name)) {
+      return res.status(409).json({ error: `A baseline named "${name}" already exists` });
+    }
+
     const { ProjectFlowEngine } = await import('./lib/engine.js');
     const engine = new ProjectFlowEngine(installationId, logger);
-    const result = await engine.saveBaseline(owner, parseInt(projectNumber));
-    res.json({ success: true, saved: result.saved });
+    const result = await engine.saveBaseline(owner, parseInt(projectNumber), {
+      name,
+      description,
+      createdBy: req.session?.user?.login || null,
+      refresh: true
+    });
+    res.json({ success: true, saved: result.saved, failed: result.failed, baselineId: result.baselineId });
   } catch (error) {
     logger.error({ error }, 'Failed to save baseline');
     res.status(500).json({ error: error.message });
   }
 });
 
+// Named baselines for a project
+app.get('/api/installations/:installationId/projects/:projectNumber/baselines', async (req, res) => {
+  try {
+    const { getBaselines } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    if (!getInstallation(installationId)) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    res.json(getBaselines(installationId, parseInt(req.params.projectNumber)));
+  } catch (error) {
+    logger.error({ error }, 'Failed to list baselines');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/installations/:installationId/baselines/:baselineId', async (req, res) => {
+  try {
+    const { getBaseline, getBaselineItems } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const baseline = getBaseline(parseInt(req.params.baselineId));
+    if (!baseline || baseline.installation_id !== installationId) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    res.json({ ...baseline, items: getBaselineItems(baseline.id) });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get baseline');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/installations/:installationId/baselines/:baselineId', async (req, res) => {
+  try {
+    const { getBaseline, deleteBaseline, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const baseline = getBaseline(parseInt(req.params.baselineId));
+    if (!baseline || baseline.installation_id !== installationId) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    deleteBaseline(baseline.id);
+    logAudit(installationId, 'baseline.deleted', {
+      projectNumber: baseline.project_number,
+      baselineId: baseline.id,
+      name: baseline.name
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete baseline');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-baseline: snapshot the current plan and overwrite the GitHub baseline fields
+app.post('/api/installations/:installationId/projects/:projectNumber/rebaseline', async (req, res) => {
+  try {
+    const { getInstallationSettings } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({
+        error: 'Baseline tracking requires a Pro subscription',
+        upgrade: true
+      });
+    }
+
+    const { name, description } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'A name is required to re-baseline' });
+    }
+    if (getBaselineByName(installationId, projectNumber, name)) {
+      return res.status(409).json({ error: `A baseline named "${name}" already exists` });
+    }
+
+    const engine = new ProjectFlowEngine(installationId, logger);
+    const result = await engine.rebaseline(installation.account_login, projectNumber, {
+      name,
+      description,
+      createdBy: req.session?.user?.login || null,
+      refresh: true
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error({ error }, 'Failed to re-baseline');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/installations/:installationId/variance-report', async (req, res) => {
   try {
     const { getInstallationSettings } = await import('./lib/database.js');
@@ -2408,14 +3076,16 @@ app.get('/api/installations/:installationId/variance-report', async (req, res) =
       });
     }
 
-    const { owner, projectNumber } = req.query;
+    const { owner, projectNumber, baselineId } = req.query;
     if (!owner || !projectNumber) {
       return res.status(400).json({ error: 'Missing required query params: owner, projectNumber' });
     }
 
     const { ProjectFlowEngine } = await import('./lib/engine.js');
     const engine = new ProjectFlowEngine(installationId, logger);
-    const report = await engine.generateVarianceReport(owner, parseInt(projectNumber));
+    const report = await engine.generateVarianceReport(owner, parseInt(projectNumber), {
+      baselineId: baselineId ? parseInt(baselineId) : null
+    });
     res.json(report);
   } catch (error) {
     logger.error({ error }, 'Failed to generate variance report');
@@ -2423,6 +3093,100 @@ app.get('/api/installations/:installationId/variance-report', async (req, res) =
   }
 });
 
+/**
+ * Gather closed-item durations for one tracked project, or all of them
+ */
+async function buildEstimateCalibration(installationId, userToken, projectNumber) {
+  const { collectCalibrationSamples, analyzeCalibration } = await import('./lib/calibration.js');
+  const { getInstallationSettings } = await import('./lib/database.js');
+
+  const projects = getProjectsByInstallation(installationId)
+    .filter(p => !projectNumber || p.project_number === projectNumber);
+
+  const samples = [];
+  for (const project of projects) {
+    const engine = new ProjectFlowEngine(installationId, logger, { userToken });
+    await engine.loadProjectItems(project.owner, project.project_number);
+    samples.push(...collectCalibrationSamples(engine, project.project_number));
+  }
+
+  return analyzeCalibration(samples, getInstallationSettings(installationId));
+}
+
+// Compare estimates with actual durations and propose new mappings
+app.get('/api/installations/:installationId/calibration', async (req, res) => {
+  try {
+    const installationId = parseInt(req.params.installationId);
+    if (!getInstallation(installationId)) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const projectNumber = req.query.projectNumber ? parseInt(req.query.projectNumber) : null;
+    const calibration = await buildEstimateCalibration(installationId, userToken, projectNumber);
+
+    res.json(calibration);
+  } catch (error) {
+    logger.error({ error }, 'Failed to calibrate estimates');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply proposed estimateDays / confidenceBuffer to installation settings
+app.post('/api/installations/:installationId/calibration/apply', async (req, res) => {
+  try {
+    const { updateInstallationSettings, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const userToken = req.session?.accessToken;
+    if (!userToken) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { projectNumber, apply = ['estimateDays', 'confidenceBuffer'] } = req.body;
+    const calibration = await buildEstimateCalibration(
+      installationId,
+      userToken,
+      projectNumber ? parseInt(projectNumber) : null
+    );
+
+    const changes = {};
+    if (apply.includes('estimateDays')) changes.estimateDays = calibration.proposed.estimateDays;
+    if (apply.includes('confidenceBuffer')) changes.confidenceBuffer = calibration.proposed.confidenceBuffer;
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'apply must include estimateDays and/or confidenceBuffer' });
+    }
+
+    const previous = installation.settings || {};
+    updateInstallationSettings(installationId, { ...previous, ...changes });
+
+    logAudit(installationId, 'calibration.applied', {
+      projectNumber: projectNumber || null,
+      sampleCount: calibration.sampleCount,
+      previous: {
+        estimateDays: previous.estimateDays || null,
+        confidenceBuffer: previous.confidenceBuffer || null
+      },
+      ...changes
+    });
+
+    res.json({ success: true, applied: changes, sampleCount: calibration.sampleCount });
+  } catch (error) {
+    logger.error({ error }, 'Failed to apply estimate calibration');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Billing routes
 app.get('/api/billing/prices', (req, res) => {
   res.json({
@@ -2580,37 +3344,583 @@ app.delete('/api/installations/:installationId/holidays/:date', async (req, res)
   }
 });
 
-// GitHub App setup callback (after installation)
-// New installs start on free tier - they can upgrade later
-app.get('/setup', async (req, res) => {
-  const { installation_id, setup_action } = req.query;
-
-  logger.info({ installation_id, setup_action }, 'Setup callback received');
+// Holiday presets (bundled national rule sets, computed offline)
+app.get('/api/holiday-presets', async (req, res) => {
+  const { listHolidayPresets } = await import('./lib/holiday-presets.js');
+  res.json(listHolidayPresets());
+});
 
-  if (setup_action === 'install' && installation_id) {
-    const installationId = parseInt(installation_id);
-    logger.info({ installationId }, 'New installation - starting on free tier');
-    // Redirect to settings with welcome message
-    res.redirect(`/app/settings?installation_id=${installationId}&welcome=true`);
+/**
+ * Save imported holidays to the installation, or to a project calendar
+ * when a project number is given
+ */
+async function saveImportedHolidays(installationId, projectNumber, holidays) {
+  const { importHolidays, importProjectCalendarHolidays } = await import('./lib/database.js');
 
-  } else if (setup_action === 'update') {
-    // Permissions were updated
-    res.redirect('/app/settings?updated=true');
-  } else {
-    // Unknown action, redirect to home
-    res.redirect('/');
+  if (!projectNumber) {
+    return importHolidays(installationId, holidays);
   }
-});
 
-// Serve static files for web UI
-if (process.env.ENABLE_WEB_UI !== 'false') {
-  // Serve React app from client/dist (built with Vite)
-  app.use(express.static('client/dist'));
+  const installation = getInstallation(installationId);
+  return importProjectCalendarHolidays(installationId, installation.account_login, parseInt(projectNumber), holidays);
+}
 
-  // Also serve legacy public files (for privacy, terms, etc.)
-  app.use(express.static('public'));
+// Import holidays from an uploaded iCalendar (.ics) file
+app.post('/api/installations/:installationId/holidays/import', upload.single('file'), async (req, res) => {
+  try {
+    const { getInstallationSettings, logAudit } = await import('./lib/database.js');
+    const { parseICalendar } = await import('./lib/ical.js');
+    const installationId = parseInt(req.params.installationId);
 
-  // SPA fallback - serve React app for all non-API routes
+    const settings = getInstallationSettings(installationId);
+    if (!settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({ error: 'Custom holidays require an active subscription' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'An .ics file is required' });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    if (!text.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ error: 'File is not an iCalendar document' });
+    }
+
+    // Optional year range filter (recurring events are always kept)
+    const fromYear = req.body.fromYear ? parseInt(req.body.fromYear) : null;
+    const toYear = req.body.toYear ? parseInt(req.body.toYear) : null;
+
+    const holidays = parseICalendar(text).filter(h => {
+      if (h.recurring) return true;
+      const year = parseInt(h.date.slice(0, 4));
+      return (!fromYear || year >= fromYear) && (!toYear || year <= toYear);
+    });
+
+    const result = await saveImportedHolidays(installationId, req.body.projectNumber, holidays);
+    if (!result) {
+      return res.status(404).json({ error: 'Project has no calendar' });
+    }
+
+    logAudit(installationId, 'holiday.imported', {
+      source: req.file.originalname,
+      projectNumber: req.body.projectNumber || null,
+      ...result
+    });
+
+    res.json({ success: true, found: holidays.length, ...result });
+  } catch (error) {
+    logger.error({ error }, 'Failed to import holidays');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply a bundled country preset for a range of years
+app.post('/api/installations/:installationId/holidays/presets', async (req, res) => {
+  try {
+    const { getInstallationSettings, logAudit } = await import('./lib/database.js');
+    const { HOLIDAY_PRESETS, MAX_PRESET_YEARS, generatePresetHolidays } = await import('./lib/holiday-presets.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const settings = getInstallationSettings(installationId);
+    if (!settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({ error: 'Custom holidays require an active subscription' });
+    }
+
+    const { country, projectNumber } = req.body;
+    if (!HOLIDAY_PRESETS[country]) {
+      return res.status(400).json({ error: `Country must be one of: ${Object.keys(HOLIDAY_PRESETS).join(', ')}` });
+    }
+
+    const currentYear = new Date().getUTCFullYear();
+    const fromYear = parseInt(req.body.fromYear) || currentYear;
+    const toYear = parseInt(req.body.toYear) || fromYear;
+    if (toYear < fromYear || toYear - fromYear >= MAX_PRESET_YEARS) {
+      return res.status(400).json({ error: `Year range must cover 1 to ${MAX_PRESET_YEARS} years` });
+    }
+
+    const holidays = generatePresetHolidays(country, fromYear, toYear);
+    const result = await saveImportedHolidays(installationId, projectNumber, holidays);
+    if (!result) {
+      return res.status(404).json({ error: 'Project has no calendar' });
+    }
+
+    logAudit(installationId, 'holiday.preset-applied', {
+      country,
+      fromYear,
+      toYear,
+      projectNumber: projectNumber || null,
+      ...result
+    });
+
+    res.json({ success: true, country, fromYear, toYear, ...result });
+  } catch (error) {
+    logger.error({ error }, 'Failed to apply holiday preset');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Project field mapping API endpoints
+// Maps the fields the engine reads and writes onto a project's own field names
+app.get('/api/installations/:installationId/projects/:projectNumber/field-mapping', async (req, res) => {
+  try {
+    const { getProject } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const project = getProject(installationId, installation.account_login, projectNumber);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    // Offer the project's existing fields as choices (best effort)
+    let projectFields = [];
+    if (project.project_id) {
+      try {
+        const { getGitHubAuth } = await import('./lib/github-auth.js');
+        const { getProjectFields } = await import('./lib/project-fields.js');
+        const octokit = await getGitHubAuth().getInstallationOctokit(installationId);
+        const fields = await getProjectFields(octokit, project.project_id);
+        projectFields = fields.map(f => ({ name: f.name, dataType: f.dataType }));
+      } catch (error) {
+        logger.warn({ error: error.message, projectNumber }, 'Failed to list project fields');
+      }
+    }
+
+    res.json({
+      fieldNames: getFieldNames(project.settings),
+      overrides: project.settings?.fieldNames || {},
+      defaults: DEFAULT_FIELD_NAMES,
+      projectFields
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get field mapping');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/installations/:installationId/projects/:projectNumber/field-mapping', async (req, res) => {
+  try {
+    const { getProject, saveProjectFieldNames, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const project = getProject(installationId, installation.account_login, projectNumber);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    const { fieldNames, error } = validateFieldNames(req.body.fieldNames);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    saveProjectFieldNames(installationId, installation.account_login, projectNumber, fieldNames);
+    logAudit(installationId, 'field-mapping.updated', { projectNumber, fieldNames });
+
+    res.json({ success: true, fieldNames: getFieldNames({ fieldNames }) });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update field mapping');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Project estimate model API endpoints
+// How the Estimate field converts to working days (see estimates.js)
+app.get('/api/installations/:installationId/projects/:projectNumber/estimation', async (req, res) => {
+  try {
+    const { getProject, getInstallationSettings } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const project = getProject(installationId, installation.account_login, projectNumber);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    res.json({
+      estimation: getEstimation(project.settings),
+      models: ESTIMATE_MODELS,
+      estimateDays: settings.estimateDays
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get estimate model');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/installations/:installationId/projects/:projectNumber/estimation', async (req, res) => {
+  try {
+    const { getProject, saveProjectEstimation, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const project = getProject(installationId, installation.account_login, projectNumber);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    const { estimation, error } = validateEstimation(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    saveProjectEstimation(installationId, installation.account_login, projectNumber, estimation);
+    logAudit(installationId, 'estimation.updated', { projectNumber, ...estimation });
+
+    res.json({ success: true, estimation });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update estimate model');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Project calendar API endpoints
+// A project calendar replaces the installation's weekend days and adds its own holidays
+const HOLIDAY_OBSERVANCES = ['nearest', 'following', 'none'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+app.get('/api/installations/:installationId/projects/:projectNumber/calendar', async (req, res) => {
+  try {
+    const { getProject, getInstallationSettings } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const project = getProject(installationId, installation.account_login, projectNumber);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+
+    res.json({
+      calendar: project.settings?.calendar || null,
+      installationDefaults: {
+        weekendDays: settings.weekendDays,
+        holidayObservance: settings.holidayObservance
+      },
+      canEdit: subscription.plan === 'pro'
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get project calendar');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/installations/:installationId/projects/:projectNumber/calendar', async (req, res) => {
+  try {
+    const { getProject, saveProjectCalendar, getInstallationSettings, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    // Project calendars are an extension of custom holidays (Pro)
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({ error: 'Project calendars require an active subscription' });
+    }
+
+    const project = getProject(installationId, installation.account_login, projectNumber);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    const { name, weekendDays, holidayObservance, includeInstallationHolidays = true } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Calendar name is required' });
+    }
+    if (weekendDays !== undefined && (!Array.isArray(weekendDays) ||
+        !weekendDays.every(d => Number.isInteger(d) && d >= 0 && d <= 6) ||
+        weekendDays.length > 6)) {
+      return res.status(400).json({ error: 'weekendDays must be an array of day numbers (0-6) with at least one working day' });
+    }
+    if (holidayObservance !== undefined && !HOLIDAY_OBSERVANCES.includes(holidayObservance)) {
+      return res.status(400).json({ error: `holidayObservance must be one of: ${HOLIDAY_OBSERVANCES.join(', ')}` });
+    }
+
+    const existing = project.settings?.calendar;
+    const calendar = {
+      name: name.trim(),
+      weekendDays: weekendDays ? [...new Set(weekendDays)].sort((a, b) => a - b) : settings.weekendDays,
+      holidayObservance: holidayObservance || settings.holidayObservance,
+      includeInstallationHolidays: !!includeInstallationHolidays,
+      holidays: existing?.holidays || []
+    };
+
+    saveProjectCalendar(installationId, installation.account_login, projectNumber, calendar);
+    logAudit(installationId, 'calendar.updated', { projectNumber, name: calendar.name });
+
+    res.json({ success: true, calendar });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update project calendar');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/installations/:installationId/projects/:projectNumber/calendar', async (req, res) => {
+  try {
+    const { deleteProjectCalendar, getInstallationSettings, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({ error: 'Project calendars require an active subscription' });
+    }
+
+    const result = deleteProjectCalendar(installationId, installation.account_login, projectNumber);
+    if (!result) {
+      return res.status(404).json({ error: 'Project not tracked' });
+    }
+
+    logAudit(installationId, 'calendar.removed', { projectNumber });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to remove project calendar');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/installations/:installationId/projects/:projectNumber/calendar/holidays', async (req, res) => {
+  try {
+    const { getProjectCalendar, saveProjectCalendar, getInstallationSettings, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({ error: 'Project calendars require an active subscription' });
+    }
+
+    const calendar = getProjectCalendar(installationId, installation.account_login, projectNumber);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Project has no calendar' });
+    }
+
+    const { date, name, recurring } = req.body;
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'Date is required (YYYY-MM-DD)' });
+    }
+
+    const holidays = (calendar.holidays || []).filter(h => h.date !== date);
+    holidays.push({ date, name: name || '', recurring: !!recurring });
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+
+    saveProjectCalendar(installationId, installation.account_login, projectNumber, { ...calendar, holidays });
+    logAudit(installationId, 'calendar.holiday.added', { projectNumber, date, name, recurring });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to add calendar holiday');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/installations/:installationId/projects/:projectNumber/calendar/holidays/:date', async (req, res) => {
+  try {
+    const { getProjectCalendar, saveProjectCalendar, getInstallationSettings, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+    const projectNumber = parseInt(req.params.projectNumber);
+
+    const installation = getInstallation(installationId);
+    const settings = getInstallationSettings(installationId);
+    if (!installation || !settings) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const subscription = await getSubscriptionStatus(settings.stripeCustomerId);
+    if (subscription.plan !== 'pro') {
+      return res.status(403).json({ error: 'Project calendars require an active subscription' });
+    }
+
+    const calendar = getProjectCalendar(installationId, installation.account_login, projectNumber);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Project has no calendar' });
+    }
+
+    const date = req.params.date;
+    const holidays = (calendar.holidays || []).filter(h => h.date !== date);
+
+    saveProjectCalendar(installationId, installation.account_login, projectNumber, { ...calendar, holidays });
+    logAudit(installationId, 'calendar.holiday.removed', { projectNumber, date });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to remove calendar holiday');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Time off API endpoints (personal absences that the scheduler skips for assignees)
+app.get('/api/installations/:installationId/time-off', async (req, res) => {
+  try {
+    const { getTimeOff } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const { login, from } = req.query;
+    const timeOff = getTimeOff(installationId, { login, from });
+    res.json({ timeOff });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get time off');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/installations/:installationId/time-off', async (req, res) => {
+  try {
+    const { addTimeOff, getTimeOffEntry, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const installation = getInstallation(installationId);
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+
+    const { login, startDate, endDate, reason } = req.body;
+    if (!login || !login.trim()) {
+      return res.status(400).json({ error: 'Login is required' });
+    }
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+      return res.status(400).json({ error: 'startDate and endDate are required (YYYY-MM-DD)' });
+    }
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'endDate must not be before startDate' });
+    }
+
+    const timeOffId = addTimeOff(installationId, {
+      login: login.trim(),
+      startDate,
+      endDate,
+      reason: reason?.trim() || null,
+      createdBy: req.session?.user?.login || null
+    });
+    logAudit(installationId, 'time-off.added', { login, startDate, endDate });
+
+    res.status(201).json(getTimeOffEntry(timeOffId));
+  } catch (error) {
+    logger.error({ error }, 'Failed to add time off');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/installations/:installationId/time-off/:timeOffId', async (req, res) => {
+  try {
+    const { getTimeOffEntry, removeTimeOff, logAudit } = await import('./lib/database.js');
+    const installationId = parseInt(req.params.installationId);
+
+    const entry = getTimeOffEntry(parseInt(req.params.timeOffId));
+    if (!entry) {
+      return res.status(404).json({ error: 'Time off not found' });
+    }
+
+    if (entry.installation_id !== installationId) {
+      return res.status(403).json({ error: 'Time off does not belong to this installation' });
+    }
+
+    removeTimeOff(entry.id);
+    logAudit(installationId, 'time-off.removed', {
+      login: entry.login,
+      startDate: entry.start_date,
+      endDate: entry.end_date
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to remove time off');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GitHub App setup callback (after installation)
+// New installs start on free tier - they can upgrade later
+app.get('/setup', async (req, res) => {
+  const { installation_id, setup_action } = req.query;
+
+  logger.info({ installation_id, setup_action }, 'Setup callback received');
+
+  if (setup_action === 'install' && installation_id) {
+    const installationId = parseInt(installation_id);
+    logger.info({ installationId }, 'New installation - starting on free tier');
+    // Redirect to settings with welcome message
+    res.redirect(`/app/settings?installation_id=${installationId}&welcome=true`);
+
+  } else if (setup_action === 'update') {
+    // Permissions were updated
+    res.redirect('/app/settings?updated=true');
+  } else {
+    // Unknown action, redirect to home
+    res.redirect('/');
+  }
+});
+
+// Serve static files for web UI
+if (process.env.ENABLE_WEB_UI !== 'false') {
+  // Serve React app from client/dist (built with Vite)
+  app.use(express.static('client/dist'));
+
+  // Also serve legacy public files (for privacy, terms, etc.)
+  app.use(express.static('public'));
+
+  // SPA fallback - serve React app for all non-API routes
   app.get('*', (req, res) => {
     if (!req.path.startsWith('/api') && !req.path.startsWith('/auth')) {
       // First try to serve from client/dist (React app)
@@ -2637,6 +3947,9 @@ async function start() {
     await initDatabase();
     logger.info('Database initialized');
 
+    // Process queued webhook work (including jobs interrupted by a restart)
+    startJobWorker(logger);
+
     // Verify GitHub App credentials (non-fatal if fails)
     try {
       const auth = new GitHubAppAuth();
@@ -0,0 +1,139 @@
+/**
+ * Estimate Calibration Module
+ *
+ * Compares closed items' actual working-day durations (Start Date -> Actual End Date)
+ * with their Estimate and Confidence, and proposes updated settings:
+ * - estimateDays: median observed duration per size
+ * - confidenceBuffer: typical overrun per confidence level beyond the proposed size
+ */
+
+// Sizes with fewer closed items than this keep their current mapping
+export const MIN_SAMPLES = 3;
+
+// Overrun percentile used for confidence buffers
+const BUFFER_PERCENTILE = 80;
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Collect closed, estimated items with a start and an actual end from a loaded engine
+ */
+export function collectCalibrationSamples(engine, projectNumber = null) {
+  const samples = [];
+
+  for (const item of engine.projectItems.values()) {
+    const isCompleted = item.state === 'CLOSED' || item.status === 'Done';
+    if (!isCompleted || !item.estimate || !item.startDate || !item.actualEndDate) continue;
+    if (item.hasChildren) continue;
+    if (item.actualEndDate < item.startDate) continue;
+
+    const actualDays = engine.dateUtils.workingDaysBetween(
+      engine.dateUtils.parseDate(item.startDate),
+      engine.dateUtils.parseDate(item.actualEndDate)
+    );
+
+    samples.push({
+      projectNumber,
+      key: item.key,
+      issueNumber: item.issueNumber,
+      title: item.title,
+      estimate: item.estimate,
+      confidence: item.confidence || 'Medium',
+      actualDays
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Summarize samples per size and confidence, and propose new settings
+ */
+export function analyzeCalibration(samples, settings) {
+  const sizes = [];
+  const proposedEstimateDays = { ...settings.estimateDays };
+
+  for (const [size, currentDays] of Object.entries(settings.estimateDays)) {
+    const durations = samples
+      .filter(s => s.estimate === size)
+      .map(s => s.actualDays)
+      .sort((a, b) => a - b);
+
+    const median = quantile(durations, 0.5);
+    const hasEnoughData = durations.length >= MIN_SAMPLES;
+    if (hasEnoughData) {
+      proposedEstimateDays[size] = Math.max(Math.round(median), 1);
+    }
+
+    sizes.push({
+      size,
+      sampleCount: durations.length,
+      currentDays,
+      proposedDays: proposedEstimateDays[size],
+      median: round1(median),
+      p25: round1(quantile(durations, 0.25)),
+      p75: round1(quantile(durations, 0.75)),
+      min: durations.length ? durations[0] : null,
+      max: durations.length ? durations[durations.length - 1] : null,
+      hasEnoughData
+    });
+  }
+
+  // Keep the mapping monotonic - a bigger size never maps to fewer days
+  const sizeOrder = Object.keys(settings.estimateDays);
+  for (let i = 1; i < sizeOrder.length; i++) {
+    const previous = proposedEstimateDays[sizeOrder[i - 1]];
+    if (proposedEstimateDays[sizeOrder[i]] < previous) {
+      proposedEstimateDays[sizeOrder[i]] = previous;
+      sizes[i].proposedDays = previous;
+    }
+  }
+
+  const confidence = [];
+  const proposedConfidenceBuffer = { ...settings.confidenceBuffer };
+
+  for (const [level, currentBuffer] of Object.entries(settings.confidenceBuffer)) {
+    const overruns = samples
+      .filter(s => s.confidence === level && proposedEstimateDays[s.estimate] !== undefined)
+      .map(s => s.actualDays - proposedEstimateDays[s.estimate])
+      .sort((a, b) => a - b);
+
+    const overrun = quantile(overruns, BUFFER_PERCENTILE / 100);
+    const hasEnoughData = overruns.length >= MIN_SAMPLES;
+    if (hasEnoughData) {
+      proposedConfidenceBuffer[level] = Math.max(Math.round(overrun), 0);
+    }
+
+    confidence.push({
+      level,
+      sampleCount: overruns.length,
+      currentBuffer,
+      proposedBuffer: proposedConfidenceBuffer[level],
+      medianOverrun: round1(quantile(overruns, 0.5)),
+      [`p${BUFFER_PERCENTILE}Overrun`]: round1(overrun),
+      hasEnoughData
+    });
+  }
+
+  return {
+    sampleCount: samples.length,
+    minSamples: MIN_SAMPLES,
+    sizes,
+    confidence,
+    proposed: {
+      estimateDays: proposedEstimateDays,
+      confidenceBuffer: proposedConfidenceBuffer
+    },
+    samples
+  };
+}
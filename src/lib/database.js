@@ -5,6 +5,13 @@
  * Stores:
  * - Installation configurations (org, repos, settings)
  * - Custom holidays per installation
+ * - Personal time off per assignee
+ * - Calendar feed tokens per project
+ * - Named baseline snapshots per project
+ * - Schedule history (per-item date changes and project trend snapshots)
+ * - Recalculation previews awaiting apply
+ * - Project item cache (GitHub project items, kept current by webhooks)
+ * - Background jobs (queued webhook work, retries and dead letters)
  * - Field ID mappings per project
  * - Billing/subscription status
  */
@@ -174,6 +181,159 @@ export async function initDatabase() {
       UNIQUE(installation_id, date)
     );
 
+    -- Time off table (personal absences per GitHub login)
+    CREATE TABLE IF NOT EXISTS time_off (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      login TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      reason TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id)
+    );
+
+    -- Calendar feeds (tokenized read-only .ics exports of the schedule)
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      token TEXT NOT NULL UNIQUE,
+      assignee TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_accessed_at TEXT,
+
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id)
+    );
+
+    -- Named baselines (snapshots of every item's planned dates)
+    CREATE TABLE IF NOT EXISTS baselines (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      item_count INTEGER DEFAULT 0,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id),
+      UNIQUE(installation_id, project_number, name)
+    );
+
+    -- item_key is "owner/repo#number" or "draft:<project item id>";
+    -- issue_number is null for draft items
+    CREATE TABLE IF NOT EXISTS baseline_items (
+      id INTEGER PRIMARY KEY,
+      baseline_id INTEGER NOT NULL,
+      item_key TEXT NOT NULL,
+      issue_number INTEGER,
+      title TEXT,
+      start_date TEXT,
+      target_date TEXT,
+      estimate TEXT,
+      state TEXT,
+
+      FOREIGN KEY (baseline_id) REFERENCES baselines(id) ON DELETE CASCADE,
+      UNIQUE(baseline_id, item_key)
+    );
+
+    -- Schedule history (every Start/Target change the engine writes)
+    CREATE TABLE IF NOT EXISTS schedule_history (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      item_key TEXT NOT NULL,
+      issue_number INTEGER,
+      previous_start TEXT,
+      previous_target TEXT,
+      start_date TEXT,
+      target_date TEXT,
+      trigger_type TEXT NOT NULL,
+      trigger_detail TEXT,
+      recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id)
+    );
+
+    -- Project-level projections after each recalculation (slip trend)
+    CREATE TABLE IF NOT EXISTS schedule_snapshots (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      trigger_type TEXT NOT NULL,
+      project_end TEXT,
+      milestones_json TEXT DEFAULT '[]',
+      item_count INTEGER DEFAULT 0,
+      updated_count INTEGER DEFAULT 0,
+      recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id)
+    );
+
+    -- Dry-run recalculations (the exact diff an apply call will write)
+    CREATE TABLE IF NOT EXISTS recalculation_previews (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      owner TEXT NOT NULL,
+      token TEXT NOT NULL UNIQUE,
+      changes_json TEXT NOT NULL DEFAULT '[]',
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      applied_at TEXT,
+
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id)
+    );
+
+    -- Project item cache: one row per project, one per item (raw GraphQL node)
+    CREATE TABLE IF NOT EXISTS project_cache (
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      owner TEXT NOT NULL,
+      item_count INTEGER DEFAULT 0,
+      version INTEGER DEFAULT 0,
+      external_json TEXT,
+      loaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (installation_id, project_number),
+      FOREIGN KEY (installation_id) REFERENCES installations(installation_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS project_item_cache (
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER NOT NULL,
+      item_id TEXT NOT NULL,
+      content_id TEXT,
+      position INTEGER NOT NULL,
+      data_json TEXT NOT NULL,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (installation_id, project_number, item_id)
+    );
+
+    -- Background jobs: status is queued, running, completed or failed (dead letter)
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY,
+      installation_id INTEGER NOT NULL,
+      project_number INTEGER,
+      type TEXT NOT NULL,
+      payload_json TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      last_error TEXT,
+      run_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      started_at TEXT,
+      finished_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
     -- Audit log for tracking changes
     CREATE TABLE IF NOT EXISTS audit_log (
       id INTEGER PRIMARY KEY,
@@ -257,6 +417,14 @@ export async function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_installations_installation_id ON installations(installation_id);
     CREATE INDEX IF NOT EXISTS idx_projects_installation_id ON projects(installation_id);
     CREATE INDEX IF NOT EXISTS idx_holidays_installation_id ON holidays(installation_id);
+    CREATE INDEX IF NOT EXISTS idx_time_off_installation ON time_off(installation_id, login);
+    CREATE INDEX IF NOT EXISTS idx_calendar_feeds_project ON calendar_feeds(installation_id, project_number);
+    CREATE INDEX IF NOT EXISTS idx_baselines_project ON baselines(installation_id, project_number);
+    CREATE INDEX IF NOT EXISTS idx_schedule_history_item ON schedule_history(installation_id, project_number, item_key);
+    CREATE INDEX IF NOT EXISTS idx_project_item_cache_content ON project_item_cache(installation_id, content_id);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_project ON jobs(installation_id, project_number, status);
+    CREATE INDEX IF NOT EXISTS idx_schedule_snapshots_project ON schedule_snapshots(installation_id, project_number, recorded_at);
     CREATE INDEX IF NOT EXISTS idx_audit_log_installation_id ON audit_log(installation_id);
     CREATE INDEX IF NOT EXISTS idx_documents_installation_id ON documents(installation_id);
     CREATE INDEX IF NOT EXISTS idx_documents_project ON documents(installation_id, project_number);
@@ -391,7 +559,9 @@ export function getInstallationSettings(installationId) {
   const defaults = {
     workingDaysOnly: true,
     weekendDays: [0, 6], // Sunday, Saturday
+    holidayObservance: 'nearest', // How recurring holidays on weekends are observed: nearest, following, none
     defaultBufferDays: 1,
+    resourceLeveling: false, // Serialize work per assignee (capacity in resourceCapacity)
     estimateDays: {
       'XS': 2,
       'S': 5,
@@ -507,6 +677,74 @@ export function updateProjectFieldIds(installationId, owner, projectNumber, fiel
   );
 }
 
+export function updateProjectSettings(installationId, owner, projectNumber, settings) {
+  const stmt = getDatabase().prepare(`
+    UPDATE projects
+    SET settings_json = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE installation_id = ? AND owner = ? AND project_number = ?
+  `);
+  return stmt.run(JSON.stringify(settings), installationId, owner, projectNumber);
+}
+
+// ============================================================
+// Project Calendars (stored in projects.settings_json)
+// ============================================================
+
+export function getProjectCalendar(installationId, owner, projectNumber) {
+  const project = getProject(installationId, owner, projectNumber);
+  return project?.settings?.calendar || null;
+}
+
+export function saveProjectCalendar(installationId, owner, projectNumber, calendar) {
+  const project = getProject(installationId, owner, projectNumber);
+  if (!project) return null;
+
+  const settings = { ...project.settings, calendar };
+  return updateProjectSettings(installationId, owner, projectNumber, settings);
+}
+
+export function deleteProjectCalendar(installationId, owner, projectNumber) {
+  const project = getProject(installationId, owner, projectNumber);
+  if (!project) return null;
+
+  const { calendar, ...settings } = project.settings || {};
+  return updateProjectSettings(installationId, owner, projectNumber, settings);
+}
+
+// ============================================================
+// Project Field Mapping (stored in projects.settings_json)
+// ============================================================
+
+export function getProjectFieldNames(installationId, owner, projectNumber) {
+  const project = getProject(installationId, owner, projectNumber);
+  return project?.settings?.fieldNames || {};
+}
+
+/**
+ * Save field name overrides (internal key -> GitHub field name)
+ * Stored field IDs point at the old names, so they're cleared and looked up again.
+ */
+export function saveProjectFieldNames(installationId, owner, projectNumber, fieldNames) {
+  const project = getProject(installationId, owner, projectNumber);
+  if (!project) return null;
+
+  const settings = { ...project.settings, fieldNames };
+  updateProjectFieldIds(installationId, owner, projectNumber, {});
+  return updateProjectSettings(installationId, owner, projectNumber, settings);
+}
+
+// ============================================================
+// Project Estimate Model (stored in projects.settings_json)
+// ============================================================
+
+export function saveProjectEstimation(installationId, owner, projectNumber, estimation) {
+  const project = getProject(installationId, owner, projectNumber);
+  if (!project) return null;
+
+  const settings = { ...project.settings, estimation };
+  return updateProjectSettings(installationId, owner, projectNumber, settings);
+}
+
 // ============================================================
 // Holidays CRUD
 // ============================================================
@@ -529,6 +767,53 @@ export function addHoliday(installationId, date, name, recurring = false) {
   return stmt.run(installationId, date, name, recurring ? 1 : 0);
 }
 
+/**
+ * Insert many holidays at once, keeping any existing row for the same date
+ * Returns counts of inserted and skipped (already present) dates
+ */
+export function importHolidays(installationId, holidays) {
+  const stmt = getDatabase().prepare(`
+    INSERT INTO holidays (installation_id, date, name, recurring)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(installation_id, date) DO NOTHING
+  `);
+
+  const insertAll = getDatabase().transaction((rows) => {
+    let imported = 0;
+    for (const h of rows) {
+      imported += stmt.run(installationId, h.date, h.name || '', h.recurring ? 1 : 0).changes;
+    }
+    return imported;
+  });
+
+  const imported = insertAll(holidays);
+  return { imported, skipped: holidays.length - imported };
+}
+
+/**
+ * Add many holidays to a project calendar, keeping existing dates
+ * Returns null if the project has no calendar
+ */
+export function importProjectCalendarHolidays(installationId, owner, projectNumber, holidays) {
+  const calendar = getProjectCalendar(installationId, owner, projectNumber);
+  if (!calendar) return null;
+
+  const existing = calendar.holidays || [];
+  const dates = new Set(existing.map(h => h.date));
+  const added = [];
+
+  for (const h of holidays) {
+    if (dates.has(h.date)) continue;
+    dates.add(h.date);
+    added.push({ date: h.date, name: h.name || '', recurring: !!h.recurring });
+  }
+
+  const merged = [...existing, ...added].sort((a, b) => a.date.localeCompare(b.date));
+  saveProjectCalendar(installationId, owner, projectNumber, { ...calendar, holidays: merged });
+
+  return { imported: added.length, skipped: holidays.length - added.length };
+}
+
 export function removeHoliday(installationId, date) {
   const stmt = getDatabase().prepare(`
     DELETE FROM holidays WHERE installation_id = ? AND date = ?
@@ -536,6 +821,724 @@ export function removeHoliday(installationId, date) {
   return stmt.run(installationId, date);
 }
 
+// ============================================================
+// Time Off CRUD
+// ============================================================
+
+export function getTimeOff(installationId, options = {}) {
+  const { login = null, from = null } = options;
+
+  let query = `SELECT * FROM time_off WHERE installation_id = ?`;
+  const params = [installationId];
+
+  if (login) {
+    query += ` AND login = ?`;
+    params.push(login);
+  }
+  if (from) {
+    query += ` AND end_date >= ?`;
+    params.push(from);
+  }
+
+  query += ` ORDER BY start_date`;
+
+  return getDatabase().prepare(query).all(...params);
+}
+
+export function getTimeOffEntry(timeOffId) {
+  const stmt = getDatabase().prepare(`SELECT * FROM time_off WHERE id = ?`);
+  return stmt.get(timeOffId);
+}
+
+export function addTimeOff(installationId, data) {
+  const stmt = getDatabase().prepare(`
+    INSERT INTO time_off (installation_id, login, start_date, end_date, reason, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(
+    installationId,
+    data.login,
+    data.startDate,
+    data.endDate,
+    data.reason || null,
+    data.createdBy || null
+  );
+
+  return result.lastInsertRowid;
+}
+
+export function removeTimeOff(timeOffId) {
+  const stmt = getDatabase().prepare(`DELETE FROM time_off WHERE id = ?`);
+  return stmt.run(timeOffId);
+}
+
+// ============================================================
+// Calendar Feeds
+// ============================================================
+
+export function getCalendarFeeds(installationId, projectNumber) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM calendar_feeds
+    WHERE installation_id = ? AND project_number = ?
+    ORDER BY created_at DESC
+  `);
+  return stmt.all(installationId, projectNumber);
+}
+
+export function getCalendarFeed(feedId) {
+  const stmt = getDatabase().prepare(`SELECT * FROM calendar_feeds WHERE id = ?`);
+  return stmt.get(feedId);
+}
+
+export function getCalendarFeedByToken(token) {
+  const stmt = getDatabase().prepare(`SELECT * FROM calendar_feeds WHERE token = ?`);
+  return stmt.get(token);
+}
+
+/**
+ * Create a feed with a random unguessable token
+ */
+export function createCalendarFeed(installationId, projectNumber, data = {}) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const stmt = getDatabase().prepare(`
+    INSERT INTO calendar_feeds (installation_id, project_number, token, assignee, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(
+    installationId,
+    projectNumber,
+    token,
+    data.assignee || null,
+    data.createdBy || null
+  );
+
+  return getCalendarFeed(result.lastInsertRowid);
+}
+
+export function touchCalendarFeed(feedId) {
+  const stmt = getDatabase().prepare(`
+    UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+  return stmt.run(feedId);
+}
+
+export function deleteCalendarFeed(feedId) {
+  const stmt = getDatabase().prepare(`DELETE FROM calendar_feeds WHERE id = ?`);
+  return stmt.run(feedId);
+}
+
+// ============================================================
+// Baselines
+// ============================================================
+
+export function getBaselines(installationId, projectNumber) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM baselines
+    WHERE installation_id = ? AND project_number = ?
+    ORDER BY created_at DESC, id DESC
+  `);
+  return stmt.all(installationId, projectNumber);
+}
+
+export function getBaseline(baselineId) {
+  const stmt = getDatabase().prepare(`SELECT * FROM baselines WHERE id = ?`);
+  return stmt.get(baselineId);
+}
+
+export function getBaselineByName(installationId, projectNumber, name) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM baselines WHERE installation_id = ? AND project_number = ? AND name = ?
+  `);
+  return stmt.get(installationId, projectNumber, name);
+}
+
+export function getBaselineItems(baselineId) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM baseline_items WHERE baseline_id = ? ORDER BY item_key, issue_number
+  `);
+  return stmt.all(baselineId);
+}
+
+/**
+ * Store a baseline and its items in one transaction
+ * items: [{ key, issueNumber, title, startDate, targetDate, estimate, state }]
+ */
+export function createBaseline(installationId, projectNumber, data) {
+  const database = getDatabase();
+  const insertBaseline = database.prepare(`
+    INSERT INTO baselines (installation_id, project_number, name, description, item_count, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertItem = database.prepare(`
+    INSERT INTO baseline_items (baseline_id, item_key, issue_number, title, start_date, target_date, estimate, state)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const create = database.transaction(() => {
+    const result = insertBaseline.run(
+      installationId,
+      projectNumber,
+      data.name,
+      data.description || null,
+      data.items.length,
+      data.createdBy || null
+    );
+
+    for (const item of data.items) {
+      insertItem.run(
+        result.lastInsertRowid,
+        item.key,
+        item.issueNumber ?? null,
+        item.title || null,
+        item.startDate || null,
+        item.targetDate || null,
+        item.estimate ?? null,
+        item.state || null
+      );
+    }
+
+    return result.lastInsertRowid;
+  });
+
+  return create();
+}
+
+export function deleteBaseline(baselineId) {
+  const database = getDatabase();
+  const remove = database.transaction(() => {
+    database.prepare(`DELETE FROM baseline_items WHERE baseline_id = ?`).run(baselineId);
+    return database.prepare(`DELETE FROM baselines WHERE id = ?`).run(baselineId);
+  });
+  return remove();
+}
+
+// ============================================================
+// Schedule History
+// ============================================================
+
+/**
+ * Record date changes written by the engine
+ * changes: [{ key, issueNumber, previousStart, previousTarget, startDate, targetDate }]
+ */
+export function recordScheduleChanges(installationId, projectNumber, changes, trigger, triggerDetail = null) {
+  const database = getDatabase();
+  const stmt = database.prepare(`
+    INSERT INTO schedule_history (
+      installation_id, project_number, issue_number, item_key,
+      previous_start, previous_target, start_date, target_date, trigger_type, trigger_detail
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const record = database.transaction(() => {
+    for (const change of changes) {
+      stmt.run(
+        installationId,
+        projectNumber,
+        change.issueNumber ?? null,
+        change.key,
+        change.previousStart || null,
+        change.previousTarget || null,
+        change.startDate || null,
+        change.targetDate || null,
+        trigger,
+        triggerDetail
+      );
+    }
+  });
+
+  record();
+}
+
+export function getIssueDateHistory(installationId, projectNumber, issueNumber, itemKey = null) {
+  if (!itemKey) {
+    const stmt = getDatabase().prepare(`
+      SELECT * FROM schedule_history
+      WHERE installation_id = ? AND project_number = ? AND issue_number = ?
+      ORDER BY recorded_at DESC, id DESC
+    `);
+    return stmt.all(installationId, projectNumber, issueNumber);
+  }
+
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM schedule_history
+    WHERE installation_id = ? AND project_number = ? AND item_key = ?
+    ORDER BY recorded_at DESC, id DESC
+  `);
+  return stmt.all(installationId, projectNumber, itemKey);
+}
+
+export function getScheduleChanges(installationId, projectNumber, options = {}) {
+  const { since = null, limit = 100 } = options;
+
+  let query = `SELECT * FROM schedule_history WHERE installation_id = ? AND project_number = ?`;
+  const params = [installationId, projectNumber];
+
+  if (since) {
+    query += ` AND recorded_at >= ?`;
+    params.push(since);
+  }
+
+  query += ` ORDER BY recorded_at DESC, id DESC LIMIT ?`;
+  params.push(limit);
+
+  return getDatabase().prepare(query).all(...params);
+}
+
+/**
+ * Record the project's projected end and milestone finishes
+ * milestones: [{ number, title, dueOn, projectedFinish }]
+ */
+export function recordScheduleSnapshot(installationId, projectNumber, snapshot) {
+  const stmt = getDatabase().prepare(`
+    INSERT INTO schedule_snapshots (
+      installation_id, project_number, trigger_type, project_end, milestones_json, item_count, updated_count
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return stmt.run(
+    installationId,
+    projectNumber,
+    snapshot.trigger,
+    snapshot.projectEnd || null,
+    JSON.stringify(snapshot.milestones || []),
+    snapshot.itemCount || 0,
+    snapshot.updatedCount || 0
+  );
+}
+
+export function getLatestScheduleSnapshot(installationId, projectNumber) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM schedule_snapshots
+    WHERE installation_id = ? AND project_number = ?
+    ORDER BY recorded_at DESC, id DESC LIMIT 1
+  `);
+  const row = stmt.get(installationId, projectNumber);
+  if (row) {
+    row.milestones = JSON.parse(row.milestones_json || '[]');
+  }
+  return row;
+}
+
+export function getScheduleSnapshots(installationId, projectNumber, options = {}) {
+  const { since = null } = options;
+
+  let query = `SELECT * FROM schedule_snapshots WHERE installation_id = ? AND project_number = ?`;
+  const params = [installationId, projectNumber];
+
+  if (since) {
+    query += ` AND recorded_at >= ?`;
+    params.push(since);
+  }
+
+  query += ` ORDER BY recorded_at, id`;
+
+  return getDatabase().prepare(query).all(...params).map(row => ({
+    ...row,
+    milestones: JSON.parse(row.milestones_json || '[]')
+  }));
+}
+
+// ============================================================
+// Recalculation Previews
+// ============================================================
+
+// How long a dry run can still be applied
+const RECALCULATION_PREVIEW_TTL = '-24 hours';
+
+/**
+ * Store a previewed diff; returns the preview with its token
+ */
+export function createRecalculationPreview(installationId, projectNumber, data) {
+  const token = crypto.randomBytes(16).toString('hex');
+  const stmt = getDatabase().prepare(`
+    INSERT INTO recalculation_previews (installation_id, project_number, owner, token, changes_json, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  stmt.run(
+    installationId,
+    projectNumber,
+    data.owner,
+    token,
+    JSON.stringify(data.changes || []),
+    data.createdBy || null
+  );
+
+  return getRecalculationPreview(installationId, token);
+}
+
+export function getRecalculationPreview(installationId, token) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM recalculation_previews
+    WHERE installation_id = ? AND token = ? AND created_at >= datetime('now', ?)
+  `);
+  const row = stmt.get(installationId, token, RECALCULATION_PREVIEW_TTL);
+  if (row) {
+    row.changes = JSON.parse(row.changes_json || '[]');
+  }
+  return row;
+}
+
+/**
+ * Mark a preview applied; returns false if it was already applied
+ */
+export function markRecalculationPreviewApplied(previewId) {
+  const stmt = getDatabase().prepare(`
+    UPDATE recalculation_previews SET applied_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND applied_at IS NULL
+  `);
+  return stmt.run(previewId).changes > 0;
+}
+
+/**
+ * Make an applied preview applicable again, optionally narrowed to the changes still to write
+ */
+export function releaseRecalculationPreview(previewId, remainingChanges = null) {
+  const stmt = getDatabase().prepare(`
+    UPDATE recalculation_previews
+    SET applied_at = NULL, changes_json = COALESCE(?, changes_json)
+    WHERE id = ?
+  `);
+  return stmt.run(remainingChanges ? JSON.stringify(remainingChanges) : null, previewId).changes > 0;
+}
+
+/**
+ * Drop previews that can no longer be applied
+ */
+export function deleteExpiredRecalculationPreviews() {
+  const stmt = getDatabase().prepare(`
+    DELETE FROM recalculation_previews WHERE created_at < datetime('now', ?)
+  `);
+  return stmt.run(RECALCULATION_PREVIEW_TTL).changes;
+}
+
+// ============================================================
+// Project Item Cache
+// ============================================================
+
+export function getProjectCache(installationId, projectNumber) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM project_cache WHERE installation_id = ? AND project_number = ?
+  `);
+  const row = stmt.get(installationId, projectNumber);
+  if (row) {
+    row.external = row.external_json ? JSON.parse(row.external_json) : null;
+  }
+  return row;
+}
+
+/**
+ * Cached items in project order, as the GraphQL nodes they were stored from
+ */
+export function getCachedProjectItems(installationId, projectNumber) {
+  const stmt = getDatabase().prepare(`
+    SELECT data_json FROM project_item_cache
+    WHERE installation_id = ? AND project_number = ?
+    ORDER BY position
+  `);
+  return stmt.all(installationId, projectNumber).map(row => JSON.parse(row.data_json));
+}
+
+/**
+ * Replace a project's cached items after a full load
+ */
+export function replaceProjectItemCache(installationId, projectNumber, data) {
+  const database = getDatabase();
+  const insertItem = database.prepare(`
+    INSERT INTO project_item_cache (installation_id, project_number, item_id, content_id, position, data_json)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const replace = database.transaction(() => {
+    database.prepare(`
+      DELETE FROM project_item_cache WHERE installation_id = ? AND project_number = ?
+    `).run(installationId, projectNumber);
+
+    data.items.forEach((item, index) => {
+      insertItem.run(installationId, projectNumber, item.id, item.content?.id || null, index, JSON.stringify(item));
+    });
+
+    database.prepare(`
+      INSERT INTO project_cache (installation_id, project_number, owner, item_count, version, loaded_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(installation_id, project_number) DO UPDATE SET
+        owner = excluded.owner,
+        item_count = excluded.item_count,
+        version = excluded.version,
+        external_json = NULL,
+        loaded_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(installationId, projectNumber, data.owner, data.items.length, data.version || 0);
+  });
+
+  replace();
+  return getProjectCache(installationId, projectNumber);
+}
+
+/**
+ * Insert or update individual cached items (new items go to the end)
+ * Does nothing for projects that haven't been loaded yet.
+ */
+export function upsertCachedProjectItems(installationId, projectNumber, items) {
+  const database = getDatabase();
+  if (items.length === 0 || !getProjectCache(installationId, projectNumber)) return 0;
+
+  const update = database.prepare(`
+    UPDATE project_item_cache SET data_json = ?, content_id = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE installation_id = ? AND project_number = ? AND item_id = ?
+  `);
+  const insert = database.prepare(`
+    INSERT INTO project_item_cache (installation_id, project_number, item_id, content_id, position, data_json)
+    VALUES (?, ?, ?, ?, (
+      SELECT COALESCE(MAX(position), -1) + 1 FROM project_item_cache WHERE installation_id = ? AND project_number = ?
+    ), ?)
+  `);
+
+  const upsert = database.transaction(() => {
+    for (const item of items) {
+      const json = JSON.stringify(item);
+      const contentId = item.content?.id || null;
+      const result = update.run(json, contentId, installationId, projectNumber, item.id);
+      if (result.changes === 0) {
+        insert.run(installationId, projectNumber, item.id, contentId, installationId, projectNumber, json);
+      }
+    }
+    touchProjectCache(installationId, projectNumber);
+  });
+
+  upsert();
+  return items.length;
+}
+
+/**
+ * Store the GitHub lookups of blockers outside the project alongside its cached items
+ * (cleared by the next full load)
+ */
+export function saveProjectCacheExternal(installationId, projectNumber, external) {
+  const stmt = getDatabase().prepare(`
+    UPDATE project_cache SET external_json = ? WHERE installation_id = ? AND project_number = ?
+  `);
+  return stmt.run(JSON.stringify(external), installationId, projectNumber).changes > 0;
+}
+
+export function deleteCachedProjectItem(installationId, projectNumber, itemId) {
+  const result = getDatabase().prepare(`
+    DELETE FROM project_item_cache WHERE installation_id = ? AND project_number = ? AND item_id = ?
+  `).run(installationId, projectNumber, itemId);
+
+  if (result.changes > 0) {
+    touchProjectCache(installationId, projectNumber);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Cached project items for an issue (by issue node id), across projects
+ */
+export function findCachedItemsByContentId(installationId, contentId) {
+  const stmt = getDatabase().prepare(`
+    SELECT project_number, item_id FROM project_item_cache
+    WHERE installation_id = ? AND content_id = ?
+  `);
+  return stmt.all(installationId, contentId);
+}
+
+function touchProjectCache(installationId, projectNumber) {
+  getDatabase().prepare(`
+    UPDATE project_cache SET
+      updated_at = CURRENT_TIMESTAMP,
+      item_count = (SELECT COUNT(*) FROM project_item_cache WHERE installation_id = ? AND project_number = ?)
+    WHERE installation_id = ? AND project_number = ?
+  `).run(installationId, projectNumber, installationId, projectNumber);
+}
+
+// ============================================================
+// Background Jobs
+// ============================================================
+
+function parseJob(row) {
+  if (row) {
+    row.payload = JSON.parse(row.payload_json || '{}');
+  }
+  return row;
+}
+
+/**
+ * Queue a job; delaySeconds postpones its first run
+ */
+export function createJob(installationId, projectNumber, type, payload, options = {}) {
+  const { delaySeconds = 0, maxAttempts = 5 } = options;
+  const stmt = getDatabase().prepare(`
+    INSERT INTO jobs (installation_id, project_number, type, payload_json, max_attempts, run_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+  `);
+  const result = stmt.run(
+    installationId,
+    projectNumber ?? null,
+    type,
+    JSON.stringify(payload || {}),
+    maxAttempts,
+    `+${delaySeconds} seconds`
+  );
+  return getJob(result.lastInsertRowid);
+}
+
+export function getJob(jobId) {
+  return parseJob(getDatabase().prepare('SELECT * FROM jobs WHERE id = ?').get(jobId));
+}
+
+/**
+ * The queued (not yet running) job of a type for a project, if any
+ */
+export function getQueuedJob(installationId, projectNumber, type) {
+  const stmt = getDatabase().prepare(`
+    SELECT * FROM jobs
+    WHERE installation_id = ? AND project_number IS ? AND type = ? AND status = 'queued'
+    ORDER BY id LIMIT 1
+  `);
+  return parseJob(stmt.get(installationId, projectNumber ?? null, type));
+}
+
+/**
+ * Replace a queued job's payload and push back its run time
+ * Returns false if the job has started in the meantime.
+ */
+export function updateQueuedJob(jobId, payload, delaySeconds = 0) {
+  const stmt = getDatabase().prepare(`
+    UPDATE jobs SET payload_json = ?, run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'queued'
+  `);
+  return stmt.run(JSON.stringify(payload || {}), `+${delaySeconds} seconds`, jobId).changes > 0;
+}
+
+/**
+ * Claim the next due job and mark it running
+ * Jobs for a project wait while another job for the same project is running.
+ */
+export function claimNextJob() {
+  const db = getDatabase();
+  const claim = db.transaction(() => {
+    const job = db.prepare(`
+      SELECT * FROM jobs j
+      WHERE j.status = 'queued' AND j.run_at <= CURRENT_TIMESTAMP
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs r
+          WHERE r.status = 'running'
+            AND r.installation_id = j.installation_id
+            AND r.project_number IS j.project_number
+        )
+      ORDER BY j.run_at, j.id
+      LIMIT 1
+    `).get();
+    if (!job) return null;
+
+    db.prepare(`
+      UPDATE jobs SET status = 'running', attempts = attempts + 1,
+        started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(job.id);
+    return getJob(job.id);
+  });
+  return claim();
+}
+
+export function completeJob(jobId) {
+  getDatabase().prepare(`
+    UPDATE jobs SET status = 'completed', last_error = NULL,
+      finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(jobId);
+}
+
+/**
+ * Record a failed attempt: requeue after retryDelaySeconds, or dead-letter when null
+ */
+export function failJob(jobId, error, retryDelaySeconds = null) {
+  if (retryDelaySeconds === null) {
+    getDatabase().prepare(`
+      UPDATE jobs SET status = 'failed', last_error = ?,
+        finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(error, jobId);
+    return;
+  }
+
+  getDatabase().prepare(`
+    UPDATE jobs SET status = 'queued', last_error = ?, run_at = datetime('now', ?),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(error, `+${retryDelaySeconds} seconds`, jobId);
+}
+
+/**
+ * Put a dead-lettered job back in the queue with fresh attempts
+ */
+export function retryFailedJob(installationId, jobId) {
+  const stmt = getDatabase().prepare(`
+    UPDATE jobs SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP,
+      finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND installation_id = ? AND status = 'failed'
+  `);
+  return stmt.run(jobId, installationId).changes > 0;
+}
+
+/**
+ * Requeue jobs left running by a previous process (crash or restart)
+ */
+export function requeueRunningJobs() {
+  const stmt = getDatabase().prepare(`
+    UPDATE jobs SET status = 'queued', run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `);
+  return stmt.run().changes;
+}
+
+/**
+ * Jobs for an installation, newest first, optionally limited to some statuses
+ */
+export function getJobs(installationId, options = {}) {
+  const { statuses, limit = 100 } = options;
+  let sql = 'SELECT * FROM jobs WHERE installation_id = ?';
+  const params = [installationId];
+
+  if (statuses?.length) {
+    sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+    params.push(...statuses);
+  }
+
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+
+  return getDatabase().prepare(sql).all(...params).map(parseJob);
+}
+
+/**
+ * Job counts by status for an installation
+ */
+export function getJobCounts(installationId) {
+  const rows = getDatabase().prepare(`
+    SELECT status, COUNT(*) as count FROM jobs WHERE installation_id = ? GROUP BY status
+  `).all(installationId);
+
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+  for (const row of rows) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
+
+/**
+ * Drop completed jobs older than the given number of days (dead letters are kept)
+ */
+export function deleteCompletedJobs(maxAgeDays = 7) {
+  const stmt = getDatabase().prepare(`
+    DELETE FROM jobs WHERE status = 'completed' AND finished_at < datetime('now', ?)
+  `);
+  return stmt.run(`-${maxAgeDays} days`).changes;
+}
+
 // ============================================================
 // Audit Log
 // ============================================================
@@ -12,10 +12,28 @@ import {
   getProject,
   getProjectsByInstallation,
   getHolidays,
+  getTimeOff,
+  getBaseline,
+  getBaselineByName,
+  getBaselineItems,
+  createBaseline,
+  recordScheduleChanges,
+  recordScheduleSnapshot,
+  getLatestScheduleSnapshot,
+  getProjectCache,
+  getCachedProjectItems,
+  replaceProjectItemCache,
+  upsertCachedProjectItems,
+  saveProjectCacheExternal,
+  deleteCachedProjectItem,
   logAudit
 } from './database.js';
-import { calculateProjectRisks } from './risk.js';
-import { getProjectFields } from './project-fields.js';
+import { calculateProjectRisks, parsePercentComplete } from './risk.js';
+import { getProjectFields, getFieldNames, normalizeFieldName, DEFAULT_FIELD_NAMES } from './project-fields.js';
+import { getEstimation, estimateToDays, DEFAULT_ESTIMATION, DEFAULT_DURATION_DAYS } from './estimates.js';
+import { simulateSchedule } from './forecast.js';
+import { calculateEarnedValue, calculateEarnedValueSeries } from './evm.js';
+import { updateDateFields } from './field-updates.js';
 
 // ============================================================
 // Date Utilities
@@ -23,17 +41,96 @@ import { getProjectFields } from './project-fields.js';
 
 class DateUtils {
   constructor(settings) {
+    this.config = settings;
     this.weekendDays = settings.weekendDays || [0, 6];
-    this.holidays = new Set(settings.holidays || []);
+    this.holidayObservance = settings.holidayObservance || 'nearest';
+    this.holidays = new Set();
+    this.recurringHolidays = [];
+    this.expandedYears = new Set();
+
+    // Holidays may be plain 'YYYY-MM-DD' strings or { date, recurring } rows
+    for (const holiday of settings.holidays || []) {
+      const date = typeof holiday === 'string' ? holiday : holiday.date;
+      if (!date) continue;
+
+      if (typeof holiday === 'object' && holiday.recurring) {
+        this.recurringHolidays.push(date.slice(5)); // MM-DD
+      } else {
+        this.holidays.add(date);
+      }
+    }
   }
 
   isWorkingDay(date) {
     const d = new Date(date);
     if (this.weekendDays.includes(d.getUTCDay())) return false;
+    this.expandRecurringHolidays(d.getUTCFullYear());
     if (this.holidays.has(this.formatDate(d))) return false;
     return true;
   }
 
+  /**
+   * Add the observed dates of recurring holidays for a year to the holiday set.
+   * Neighbouring years are included because an observed date can cross
+   * a year boundary (e.g. Jan 1 on a Saturday is observed Dec 31).
+   */
+  expandRecurringHolidays(year) {
+    if (this.recurringHolidays.length === 0 || this.expandedYears.has(year)) return;
+    this.expandedYears.add(year);
+
+    for (const y of [year - 1, year, year + 1]) {
+      for (const monthDay of this.recurringHolidays) {
+        const occurrence = this.parseDate(`${y}-${monthDay}`);
+        // Skip Feb 29 in non-leap years
+        if (this.formatDate(occurrence).slice(5) !== monthDay) continue;
+
+        this.holidays.add(this.formatDate(this.observedDate(occurrence)));
+      }
+    }
+  }
+
+  /**
+   * Move a fixed-date holiday that lands on a weekend to the day it is observed.
+   * 'nearest' picks the closest non-weekend day (Saturday -> Friday,
+   * Sunday -> Monday), 'following' always moves forward, 'none' keeps the date.
+   */
+  observedDate(date) {
+    if (!this.weekendDays.includes(date.getUTCDay()) || this.holidayObservance === 'none') {
+      return date;
+    }
+
+    const isWeekend = (offset) => {
+      const d = new Date(date);
+      d.setUTCDate(d.getUTCDate() + offset);
+      return this.weekendDays.includes(d.getUTCDay());
+    };
+
+    let forward = 1;
+    while (forward < 7 && isWeekend(forward)) forward++;
+
+    let backward = 1;
+    while (backward < 7 && isWeekend(-backward)) backward++;
+
+    const offset = this.holidayObservance === 'following' || forward <= backward
+      ? forward
+      : -backward;
+
+    const observed = new Date(date);
+    observed.setUTCDate(observed.getUTCDate() + offset);
+    return observed;
+  }
+
+  /**
+   * Create a calendar with extra non-working dates on top of this one
+   * (used for an assignee's personal time off)
+   */
+  withNonWorkingDates(dates) {
+    return new DateUtils({
+      ...this.config,
+      holidays: [...(this.config.holidays || []), ...dates]
+    });
+  }
+
   formatDate(date) {
     return date.toISOString().split('T')[0];
   }
@@ -56,6 +153,27 @@ class DateUtils {
     return current;
   }
 
+  subtractWorkingDays(startDate, days) {
+    let current = new Date(startDate);
+    let remaining = days;
+
+    while (remaining > 0) {
+      current.setUTCDate(current.getUTCDate() - 1);
+      if (this.isWorkingDay(current)) {
+        remaining--;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Move a date by a signed number of working days (positive lag, negative lead)
+   */
+  shiftWorkingDays(date, days) {
+    return days < 0 ? this.subtractWorkingDays(date, -days) : this.addWorkingDays(date, days);
+  }
+
   workingDaysBetween(start, end) {
     let count = 0;
     let current = new Date(start);
@@ -92,27 +210,349 @@ class DateUtils {
   }
 }
 
+// ============================================================
+// Item Keys
+// ============================================================
+
+/**
+ * Repository-qualified key for an issue, e.g. "acme/api#12"
+ * (issue numbers are only unique within a repository)
+ */
+export function itemKey(repository, issueNumber) {
+  return `${repository}#${issueNumber}`;
+}
+
+/**
+ * Key for a draft item, e.g. "draft:PVTI_lADO..." (drafts have no repository
+ * or number, so they're identified by their project item)
+ */
+export function draftKey(projectItemId) {
+  return `draft:${projectItemId}`;
+}
+
+/**
+ * Key for a loaded project item (issue, pull request or draft), or null for
+ * content the engine doesn't schedule (e.g. items the viewer can't see)
+ */
+export function projectItemKey(item) {
+  const content = item.content;
+  if (content?.__typename === 'DraftIssue') return draftKey(item.id);
+  if (content?.number && content.repository?.nameWithOwner) {
+    return itemKey(content.repository.nameWithOwner, content.number);
+  }
+  return null;
+}
+
+/**
+ * Key for a milestone, e.g. "acme/api/milestone/3" (milestones are numbered per repository)
+ */
+export function milestoneKey(repository, milestoneNumber) {
+  return `${repository}/milestone/${milestoneNumber}`;
+}
+
+/**
+ * Resolve an issue reference ("#12", "api#12" or "acme/api#12") to an item key,
+ * relative to the repository it appears in
+ */
+export function resolveIssueReference(reference, repository) {
+  const match = /^(?:([\w.-]+\/)?([\w.-]+))?#(\d+)$/.exec(String(reference).trim());
+  if (!match) return null;
+
+  const [contextOwner, contextRepo] = (repository || '').split('/');
+  const owner = match[1] ? match[1].slice(0, -1) : contextOwner;
+  const repo = match[2] || contextRepo;
+  // Drafts have no repository, so their references must name one
+  if (!owner || !repo) return null;
+  return itemKey(`${owner}/${repo}`, parseInt(match[3]));
+}
+
+/**
+ * Sort order for item keys: by repository, then issue number
+ */
+export function compareItemKeys(a, b) {
+  const [repoA, numberA] = a.split('#');
+  const [repoB, numberB] = b.split('#');
+  return repoA === repoB ? parseInt(numberA) - parseInt(numberB) : repoA.localeCompare(repoB);
+}
+
+// ============================================================
+// Dependency Markers
+// ============================================================
+
+/**
+ * Parse typed dependency markers from an issue body, e.g.
+ *   <!-- jaybird:depends-on #12 SS+3, web#15 FF, acme/docs#20 -2 -->
+ * Type defaults to FS (finish-to-start); lag is in working days and may be
+ * negative (lead). Referenced issues become dependencies even when they are
+ * not linked with GitHub's "blocked by" relationship. A bare #number refers
+ * to the issue's own repository.
+ */
+export function parseDependencyMarkers(body) {
+  const links = [];
+  if (!body) return links;
+
+  const markerPattern = /<!--\s*jaybird:depends-on\s+([\s\S]*?)-->/gi;
+  // Type and "d" suffix must end at a word boundary so they never eat the next reference
+  const entryPattern = /((?:[\w.-]+\/)?[\w.-]+)?#(\d+)(?:\s*(FS|SS|FF)\b)?(?:\s*([+-]\s*\d+)(?:\s*d\b)?)?/gi;
+
+  for (const marker of body.matchAll(markerPattern)) {
+    for (const entry of marker[1].matchAll(entryPattern)) {
+      links.push({
+        reference: `${entry[1] || ''}#${entry[2]}`,
+        issueNumber: parseInt(entry[2]),
+        type: (entry[3] || 'FS').toUpperCase(),
+        lag: entry[4] ? parseInt(entry[4].replace(/\s+/g, '')) : 0
+      });
+    }
+  }
+
+  return links;
+}
+
+// ============================================================
+// Schedule Constraints
+// ============================================================
+
+const CONSTRAINT_TYPES = {
+  'snet': 'SNET',
+  'start no earlier than': 'SNET',
+  'fnlt': 'FNLT',
+  'finish no later than': 'FNLT',
+  'must finish by': 'FNLT',
+  'mso': 'MSO',
+  'must start on': 'MSO'
+};
+
+/**
+ * Normalize a "Constraint Type" option to SNET, FNLT or MSO (null if unset/unknown)
+ */
+export function parseConstraintType(value) {
+  if (!value) return null;
+  return CONSTRAINT_TYPES[value.toLowerCase().trim()] || null;
+}
+
 // ============================================================
 // ProjectFlow Engine
 // ============================================================
 
+// Nested connections loaded with each project item; pages beyond the first
+// are fetched per node (onItem: lives on the project item rather than its content)
+const NESTED_CONNECTIONS = {
+  assignees: {
+    selection: `
+      pageInfo { hasNextPage endCursor }
+      nodes { login name avatarUrl }`
+  },
+  subIssues: {
+    selection: `
+      pageInfo { hasNextPage endCursor }
+      nodes { number repository { nameWithOwner } }`
+  },
+  blockedBy: {
+    selection: `
+      pageInfo { hasNextPage endCursor }
+      nodes { number repository { nameWithOwner } }`
+  },
+  labels: {
+    selection: `
+      pageInfo { hasNextPage endCursor }
+      nodes { name color }`
+  },
+  fieldValues: {
+    onItem: true,
+    selection: `
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on ProjectV2ItemFieldDateValue {
+          field { ... on ProjectV2Field { name } }
+          date
+        }
+        ... on ProjectV2ItemFieldSingleSelectValue {
+          field { ... on ProjectV2SingleSelectField { name } }
+          name
+        }
+        ... on ProjectV2ItemFieldNumberValue {
+          field { ... on ProjectV2Field { name } }
+          number
+        }
+        ... on ProjectV2ItemFieldTextValue {
+          field { ... on ProjectV2Field { name } }
+          text
+        }
+      }`
+  }
+};
+
+// Everything loaded (and cached) per project item: issues, pull requests and drafts
+const ITEM_SELECTION = `
+  id
+  content {
+    __typename
+    ... on Issue {
+      id
+      number
+      title
+      state
+      closedAt
+      url
+      body
+      repository {
+        nameWithOwner
+      }
+      issueType {
+        name
+      }
+      milestone {
+        number
+        title
+        description
+        dueOn
+        state
+        url
+      }
+      parent {
+        number
+        repository {
+          nameWithOwner
+        }
+      }
+      assignees(first: 20) {
+        ${NESTED_CONNECTIONS.assignees.selection}
+      }
+      subIssues: subIssues(first: 50) {
+        ${NESTED_CONNECTIONS.subIssues.selection}
+      }
+      blockedBy(first: 50) {
+        ${NESTED_CONNECTIONS.blockedBy.selection}
+      }
+      labels(first: 20) {
+        ${NESTED_CONNECTIONS.labels.selection}
+      }
+    }
+    ... on PullRequest {
+      id
+      number
+      title
+      state
+      closedAt
+      url
+      body
+      repository {
+        nameWithOwner
+      }
+      milestone {
+        number
+        title
+        description
+        dueOn
+        state
+        url
+      }
+      assignees(first: 20) {
+        ${NESTED_CONNECTIONS.assignees.selection}
+      }
+      labels(first: 20) {
+        ${NESTED_CONNECTIONS.labels.selection}
+      }
+    }
+    ... on DraftIssue {
+      id
+      title
+      body
+      assignees(first: 20) {
+        ${NESTED_CONNECTIONS.assignees.selection}
+      }
+    }
+  }
+  fieldValues(first: 50) {
+    ${NESTED_CONNECTIONS.fieldValues.selection}
+  }
+`;
+
+// Cached items older than this are reloaded from GitHub
+export const ITEM_CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Bumped whenever ITEM_SELECTION changes so older caches are reloaded
+export const ITEM_CACHE_VERSION = 3;
+
+// Blockers outside the project looked up on GitHub per load, and per query
+const MAX_EXTERNAL_LOOKUPS = 100;
+const EXTERNAL_LOOKUP_BATCH_SIZE = 20;
+
+// What's loaded for a blocker that isn't on the project (dates come from
+// whichever project it's on)
+const EXTERNAL_ISSUE_FIELDS = `
+  number
+  title
+  state
+  closedAt
+  url
+  repository {
+    nameWithOwner
+  }
+  projectItems(first: 10) {
+    nodes {
+      fieldValues(first: 50) {
+        ${NESTED_CONNECTIONS.fieldValues.selection}
+      }
+    }
+  }
+`;
+
+/**
+ * A project item's field values by internal key, read through a project's
+ * field names (matched case-insensitively, like ensureProjectFields)
+ */
+function readFieldValues(fieldValueNodes = [], fieldNames = DEFAULT_FIELD_NAMES) {
+  const keysByName = new Map(Object.entries(fieldNames).map(([key, name]) => [normalizeFieldName(name), key]));
+  const values = {};
+
+  for (const fv of fieldValueNodes) {
+    const key = fv.field?.name && keysByName.get(normalizeFieldName(fv.field.name));
+    if (!key) continue;
+
+    const value = fv.date ?? fv.name ?? fv.number ?? fv.text;
+    values[key] = key === 'constraintType' ? parseConstraintType(value) : value;
+  }
+
+  return values;
+}
+
+// Date fields the engine writes (internal keys; names come from the project's mapping)
+const DATE_FIELD_KEYS = ['startDate', 'targetDate', 'actualEndDate', 'baselineStart', 'baselineTarget'];
+
 export class ProjectFlowEngine {
   constructor(installationId, logger, options = {}) {
     this.installationId = installationId;
     this.logger = logger;
     this.maxTrackedIssues = options.maxTrackedIssues || Infinity;
     this.userToken = options.userToken || null; // User's OAuth token for project access
+    this.levelingOverride = options.resourceLeveling; // Force leveling on/off (e.g. for previews)
     this.octokit = null;
     this.settings = null;
     this.dateUtils = null;
-    this.projectItems = new Map();
+    this.projectItems = new Map(); // item key ("owner/repo#number") -> item
     this.issueDependencies = new Map();
+    this.dependencyLinks = new Map(); // "successor:predecessor" -> { type, lag }
+    this.dependencyCycles = [];
+    this.cycleMembership = new Map(); // item key -> index into dependencyCycles
     this.parentChildren = new Map();
-    this.milestoneEpics = new Map();
+    this.milestoneEpics = new Map(); // milestone key -> item keys
     this.calculatedDates = new Map();
+    this.timeOffByLogin = new Map();
+    this.assigneeCalendars = new Map();
+    this.projectSettings = {};
+    this.levelingReport = null;
     this.limitReached = false;
     this.totalItemsFound = 0;
     this.cachedFieldIds = null; // Cache for dynamically fetched field IDs
+    this.assigneeProfiles = new Map(); // login -> { login, name, avatarUrl }
+    this.loadedProjectKey = null; // "owner/number" of the dataset in projectItems
+    this.rawItems = null; // item id -> GraphQL node of the loaded dataset
+    this.cacheStatus = null; // { source: 'cache' | 'github', loadedAt, updatedAt }
+    this.externalBlockers = new Map(); // item key -> blocker outside the project (see loadExternalBlockers)
+    this.fieldNames = { ...DEFAULT_FIELD_NAMES }; // internal field key -> the project's field name
+    this.estimation = { ...DEFAULT_ESTIMATION }; // the project's estimate model (see estimates.js)
   }
 
   async initialize() {
@@ -123,14 +563,23 @@ export class ProjectFlowEngine {
     // Get installation settings
     this.settings = getInstallationSettings(this.installationId);
 
-    // Get holidays and add to settings
+    // Get holidays and add to settings (recurring ones are expanded per year by DateUtils)
     const holidays = getHolidays(this.installationId);
-    const holidayDates = holidays.map(h => h.date);
-    this.settings.holidays = holidayDates;
+    this.settings.holidays = holidays.map(h => ({ date: h.date, recurring: !!h.recurring }));
 
     // Initialize date utilities
     this.dateUtils = new DateUtils(this.settings);
 
+    // Group personal time off by assignee login
+    this.timeOffByLogin.clear();
+    this.assigneeCalendars.clear();
+    for (const entry of getTimeOff(this.installationId)) {
+      if (!this.timeOffByLogin.has(entry.login)) {
+        this.timeOffByLogin.set(entry.login, []);
+      }
+      this.timeOffByLogin.get(entry.login).push(entry);
+    }
+
     // Use user's OAuth token if provided (required for project access)
     // Fall back to GitHub App token only if user token not available
     if (this.userToken) {
@@ -145,6 +594,28 @@ export class ProjectFlowEngine {
     }
   }
 
+  /**
+   * Switch date calculations to the project's own working calendar, if it has one.
+   * The installation's holidays still apply unless the calendar opts out.
+   */
+  applyProjectCalendar(project) {
+    const calendar = project.settings?.calendar;
+    if (!calendar) return;
+
+    const installationHolidays = calendar.includeInstallationHolidays === false
+      ? []
+      : this.settings.holidays;
+
+    this.dateUtils = new DateUtils({
+      weekendDays: calendar.weekendDays || this.settings.weekendDays,
+      holidayObservance: calendar.holidayObservance || this.settings.holidayObservance,
+      holidays: [...installationHolidays, ...(calendar.holidays || [])]
+    });
+    this.assigneeCalendars.clear();
+
+    this.logger.debug({ calendar: calendar.name }, 'Using project calendar');
+  }
+
   /**
    * Get the GraphQL owner type (organization or user)
    */
@@ -175,9 +646,17 @@ export class ProjectFlowEngine {
   }
 
   /**
-   * Load project items from GitHub with pagination support
+   * Load project items, from the SQLite item cache when it's fresh enough,
+   * otherwise from GitHub with full pagination (refreshing the cache).
+   * The loaded dataset is reused by later calls for the same project until
+   * this engine writes to it (or refresh is requested).
    */
-  async loadProjectItems(owner, projectNumber) {
+  async loadProjectItems(owner, projectNumber, options = {}) {
+    const projectKey = `${owner}/${projectNumber}`;
+    if (!options.refresh && this.loadedProjectKey === projectKey) {
+      return this.projectItems;
+    }
+
     await this.initialize();
 
     const project = getProject(this.installationId, owner, projectNumber);
@@ -185,106 +664,33 @@ export class ProjectFlowEngine {
       throw new Error(`Project not found: ${owner}/${projectNumber}`);
     }
 
-    this.logger.info({ owner, projectNumber, accountType: this.accountType }, 'Loading project items');
-
-    const ownerType = this.getOwnerType();
-
-    // Query with pagination support
-    const query = `
-      query($owner: String!, $projectNumber: Int!, $cursor: String) {
-        ${ownerType}(login: $owner) {
-          projectV2(number: $projectNumber) {
-            id
-            items(first: 100, after: $cursor) {
-              pageInfo {
-                hasNextPage
-                endCursor
-              }
-              nodes {
-                id
-                content {
-                  ... on Issue {
-                    number
-                    title
-                    state
-                    closedAt
-                    milestone {
-                      number
-                      title
-                    }
-                    parent {
-                      number
-                    }
-                    subIssues: subIssues(first: 50) {
-                      nodes {
-                        number
-                      }
-                    }
-                    blockedBy(first: 20) {
-                      nodes {
-                        number
-                      }
-                    }
-                  }
-                }
-                fieldValues(first: 20) {
-                  nodes {
-                    ... on ProjectV2ItemFieldDateValue {
-                      field { ... on ProjectV2Field { name } }
-                      date
-                    }
-                    ... on ProjectV2ItemFieldSingleSelectValue {
-                      field { ... on ProjectV2SingleSelectField { name } }
-                      name
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    // Fetch all pages of items
-    const allItems = [];
-    let hasNextPage = true;
-    let cursor = null;
-    let projectId = null;
-
-    try {
-      while (hasNextPage) {
-        const result = await this.octokit.graphql(query, {
-          owner,
-          projectNumber,
-          cursor
-        });
-
-        const projectData = this.extractProjectData(result);
-        if (!projectData) {
-          throw new Error('Project not found in GraphQL response');
-        }
-
-        projectId = projectData.id;
-        const items = projectData.items?.nodes || [];
-        allItems.push(...items);
-
-        hasNextPage = projectData.items?.pageInfo?.hasNextPage || false;
-        cursor = projectData.items?.pageInfo?.endCursor;
-
-        // Safety limit to prevent infinite loops (max 1000 items)
-        if (allItems.length >= 1000) {
-          this.logger.warn({ itemCount: allItems.length }, 'Reached maximum item limit (1000)');
-          break;
-        }
-      }
-
-      this.logger.info({ result: `Fetched ${allItems.length} items across ${cursor ? 'multiple' : 'one'} page(s)` }, 'GraphQL response');
-    } catch (graphqlError) {
-      this.logger.error({ error: graphqlError.message, owner, projectNumber }, 'GraphQL query failed');
-      throw graphqlError;
+    this.projectSettings = project.settings || {};
+    this.fieldNames = getFieldNames(project.settings);
+    this.estimation = getEstimation(project.settings);
+    this.applyProjectCalendar(project);
+
+    const cache = getProjectCache(this.installationId, projectNumber);
+    const cacheAge = cache ? Date.now() - Date.parse(cache.loaded_at + 'Z') : Infinity;
+    const useCache = !options.refresh && cache?.owner === owner &&
+      cache.version === ITEM_CACHE_VERSION && cacheAge < ITEM_CACHE_MAX_AGE_MS;
+
+    let allItems;
+    if (useCache) {
+      allItems = getCachedProjectItems(this.installationId, projectNumber);
+      this.cacheStatus = { source: 'cache', loadedAt: cache.loaded_at, updatedAt: cache.updated_at };
+      this.logger.debug({ owner, projectNumber, itemCount: allItems.length }, 'Loaded project items from cache');
+    } else {
+      allItems = await this.fetchProjectItems(owner, projectNumber);
+      const stored = replaceProjectItemCache(this.installationId, projectNumber, {
+        owner,
+        items: allItems,
+        version: ITEM_CACHE_VERSION
+      });
+      this.cacheStatus = { source: 'github', loadedAt: stored.loaded_at, updatedAt: stored.updated_at };
     }
 
+    this.rawItems = new Map(allItems.map(item => [item.id, item]));
+
     const items = allItems;
     this.totalItemsFound = items.length;
     this.limitReached = items.length > this.maxTrackedIssues;
@@ -304,26 +710,19 @@ export class ProjectFlowEngine {
 
     this.projectItems.clear();
     this.issueDependencies.clear();
+    this.dependencyLinks.clear();
     this.parentChildren.clear();
     this.milestoneEpics.clear();
+    this.assigneeProfiles.clear();
 
     for (const item of itemsToProcess) {
-      if (!item.content?.number) continue;
+      const key = projectItemKey(item);
+      if (!key) continue;
 
-      const issueNumber = item.content.number;
-      const fieldValues = {};
-
-      for (const fv of item.fieldValues.nodes) {
-        if (fv.field?.name === 'Start Date') fieldValues.startDate = fv.date;
-        if (fv.field?.name === 'Target Date') fieldValues.targetDate = fv.date;
-        if (fv.field?.name === 'Actual End Date') fieldValues.actualEndDate = fv.date;
-        if (fv.field?.name === 'Baseline Start') fieldValues.baselineStart = fv.date;
-        if (fv.field?.name === 'Baseline Target') fieldValues.baselineTarget = fv.date;
-        if (fv.field?.name === '% Complete') fieldValues.percentComplete = fv.name;
-        if (fv.field?.name === 'Status') fieldValues.status = fv.name;
-        if (fv.field?.name === 'Estimate') fieldValues.estimate = fv.name;
-        if (fv.field?.name === 'Confidence') fieldValues.confidence = fv.name;
-      }
+      const contentType = item.content.__typename;
+      const issueNumber = item.content.number ?? null;
+      const repository = item.content.repository?.nameWithOwner ?? null;
+      const fieldValues = readFieldValues(item.fieldValues.nodes, this.fieldNames);
 
       // Use closedAt if no Actual End Date
       const closedAt = item.content.closedAt;
@@ -332,106 +731,707 @@ export class ProjectFlowEngine {
       }
 
       // Track sub-issues (parent-child relationships)
-      const subIssueNumbers = item.content.subIssues?.nodes?.map(s => s.number) || [];
-      if (subIssueNumbers.length > 0) {
-        this.parentChildren.set(issueNumber, subIssueNumbers);
+      const childKeys = (item.content.subIssues?.nodes || [])
+        .map(s => itemKey(s.repository?.nameWithOwner || repository, s.number));
+      if (childKeys.length > 0) {
+        this.parentChildren.set(key, childKeys);
       }
 
-      // Track blocking dependencies
-      const blockedByNumbers = item.content.blockedBy?.nodes?.map(b => b.number) || [];
-      if (blockedByNumbers.length > 0) {
-        this.issueDependencies.set(issueNumber, blockedByNumbers);
+      // Track blocking dependencies (native blockedBy plus typed markers in the body)
+      const blockerKeys = (item.content.blockedBy?.nodes || [])
+        .map(b => itemKey(b.repository?.nameWithOwner || repository, b.number));
+      for (const link of parseDependencyMarkers(item.content.body)) {
+        const blockerKey = resolveIssueReference(link.reference, repository);
+        if (!blockerKey) continue;
+        if (!blockerKeys.includes(blockerKey)) {
+          blockerKeys.push(blockerKey);
+        }
+        this.dependencyLinks.set(`${key}:${blockerKey}`, { type: link.type, lag: link.lag });
+      }
+      if (blockerKeys.length > 0) {
+        this.issueDependencies.set(key, blockerKeys);
       }
 
       // Track milestone membership
-      if (item.content.milestone?.number) {
-        const milestoneNum = item.content.milestone.number;
-        if (!this.milestoneEpics.has(milestoneNum)) {
-          this.milestoneEpics.set(milestoneNum, []);
+      const milestone = item.content.milestone
+        ? { ...item.content.milestone, key: milestoneKey(repository, item.content.milestone.number), repository }
+        : null;
+      if (milestone?.number) {
+        if (!this.milestoneEpics.has(milestone.key)) {
+          this.milestoneEpics.set(milestone.key, []);
         }
-        this.milestoneEpics.get(milestoneNum).push(issueNumber);
+        this.milestoneEpics.get(milestone.key).push(key);
       }
 
-      this.projectItems.set(issueNumber, {
+      for (const assignee of item.content.assignees?.nodes || []) {
+        this.assigneeProfiles.set(assignee.login, assignee);
+      }
+
+      const parent = item.content.parent;
+
+      this.projectItems.set(key, {
         itemId: item.id,
+        key,
+        contentType,
+        repository,
         issueNumber,
         title: item.content.title,
-        state: item.content.state,
-        milestone: item.content.milestone,
-        parentNumber: item.content.parent?.number,
-        hasChildren: subIssueNumbers.length > 0,
+        // Merged pull requests count as closed; drafts are always open
+        state: item.content.state === 'MERGED' ? 'CLOSED' : (item.content.state || 'OPEN'),
+        url: item.content.url || null,
+        milestone,
+        parentNumber: parent?.number,
+        parentKey: parent ? itemKey(parent.repository?.nameWithOwner || repository, parent.number) : null,
+        assignees: item.content.assignees?.nodes?.map(a => a.login) || [],
+        hasChildren: childKeys.length > 0,
         ...fieldValues
       });
     }
 
+    await this.loadExternalBlockers(project, useCache ? cache : null);
+
+    this.loadedProjectKey = projectKey;
+
     this.logger.info({
       itemCount: this.projectItems.size,
-      withDependencies: this.issueDependencies.size
+      withDependencies: this.issueDependencies.size,
+      externalBlockers: this.externalBlockers.size
     }, 'Project items loaded');
 
     return this.projectItems;
   }
 
   /**
-   * Get dependencies for an issue
+   * Resolve blockers that aren't items of the loaded project: first from other
+   * tracked projects' cached items (the dates last calculated there), then from
+   * GitHub (state, closedAt and any dates the issue has on another project).
+   * GitHub lookups are kept in the project cache; when the items come from the
+   * cache, only blockers that weren't looked up yet are fetched.
+   * Unresolved blockers don't constrain their dependents and are flagged.
    */
-  getDependencies(issueNumber) {
-    return this.issueDependencies.get(issueNumber) || [];
-  }
+  async loadExternalBlockers(project, cache = null) {
+    this.externalBlockers.clear();
 
-  /**
-   * Get duration from Estimate field
-   */
-  getDuration(issueNumber) {
-    const item = this.projectItems.get(issueNumber);
-    if (item?.estimate && this.settings.estimateDays[item.estimate]) {
-      return this.settings.estimateDays[item.estimate];
+    const pending = new Set();
+    for (const blockerKeys of this.issueDependencies.values()) {
+      for (const key of blockerKeys) {
+        if (!this.projectItems.has(key)) pending.add(key);
+      }
+    }
+    if (pending.size === 0) return;
+
+    for (const other of getProjectsByInstallation(this.installationId)) {
+      if (pending.size === 0) break;
+      if (other.project_number === project.project_number) continue;
+      if (getProjectCache(this.installationId, other.project_number)?.version !== ITEM_CACHE_VERSION) continue;
+
+      for (const raw of getCachedProjectItems(this.installationId, other.project_number)) {
+        const key = projectItemKey(raw);
+        if (!pending.has(key)) continue;
+
+        const fields = readFieldValues(raw.fieldValues?.nodes, getFieldNames(other.settings));
+        this.externalBlockers.set(key, this.buildExternalBlocker(key, raw.content, fields, {
+          source: 'project',
+          projectNumber: other.project_number
+        }));
+        pending.delete(key);
+      }
+    }
+
+    const stored = cache?.external || { lookedUp: [], found: {} };
+    const known = Array.from(pending).filter(key => stored.lookedUp.includes(key));
+    const lookups = Array.from(pending)
+      .filter(key => !stored.lookedUp.includes(key))
+      .slice(0, Math.max(MAX_EXTERNAL_LOOKUPS - known.length, 0));
+
+    const found = new Map(known.filter(key => stored.found[key]).map(key => [key, stored.found[key]]));
+    if (lookups.length > 0) {
+      for (const [key, content] of await this.fetchExternalIssues(lookups)) {
+        found.set(key, content);
+      }
+
+      const lookedUp = [...known, ...lookups];
+      saveProjectCacheExternal(this.installationId, project.project_number, {
+        lookedUp,
+        found: Object.fromEntries(lookedUp.filter(key => found.has(key)).map(key => [key, found.get(key)]))
+      });
+    }
+
+    for (const key of pending) {
+      const content = found.get(key);
+      if (content) {
+        // Their projects' field mappings are unknown, so read them with this project's
+        const fields = (content.projectItems?.nodes || [])
+          .map(node => readFieldValues(node.fieldValues?.nodes, this.fieldNames))
+          .find(dates => dates.targetDate) || {};
+        this.externalBlockers.set(key, this.buildExternalBlocker(key, content, fields, { source: 'github', projectNumber: null }));
+      } else {
+        this.externalBlockers.set(key, {
+          key,
+          source: null,
+          resolved: false,
+          reason: known.includes(key) || lookups.includes(key)
+            ? 'Not found or not accessible'
+            : 'Too many external blockers to look up',
+          dates: null
+        });
+      }
+    }
+
+    const unresolved = Array.from(this.externalBlockers.values()).filter(blocker => !blocker.resolved);
+    if (unresolved.length > 0) {
+      this.logger.warn({
+        blockers: unresolved.map(blocker => blocker.key)
+      }, 'Unresolved external blockers - dependents are scheduled without them');
     }
-    return 10; // Default
   }
 
   /**
-   * Get buffer from Confidence field
+   * Describe a blocker outside the project, with the dates its dependents wait on
+   * (an open blocker can't finish before today; one without a Target Date can't be scheduled around)
    */
-  getBuffer(issueNumber) {
-    const item = this.projectItems.get(issueNumber);
-    if (item?.confidence && this.settings.confidenceBuffer[item.confidence] !== undefined) {
-      return this.settings.confidenceBuffer[item.confidence];
+  buildExternalBlocker(key, content, fields, origin) {
+    const isCompleted = content.state === 'CLOSED' || content.state === 'MERGED';
+    let dates = null;
+
+    if (isCompleted) {
+      const end = fields.actualEndDate || content.closedAt?.split('T')[0] || fields.targetDate || null;
+      dates = {
+        startDate: fields.startDate || end,
+        targetDate: fields.targetDate || end,
+        endDateForDependents: end,
+        isCompleted: true
+      };
+    } else if (fields.targetDate) {
+      const today = this.dateUtils.formatDate(new Date());
+      dates = {
+        startDate: fields.startDate || fields.targetDate,
+        targetDate: fields.targetDate,
+        endDateForDependents: fields.targetDate > today ? fields.targetDate : today,
+        isCompleted: false
+      };
     }
-    return this.settings.confidenceBuffer['Medium'] || 2;
+
+    return {
+      key,
+      repository: content.repository?.nameWithOwner || null,
+      issueNumber: content.number ?? null,
+      title: content.title,
+      url: content.url || null,
+      state: isCompleted ? 'CLOSED' : 'OPEN',
+      ...origin,
+      resolved: dates !== null,
+      reason: dates ? null : 'Open with no Target Date',
+      dates
+    };
   }
 
   /**
-   * Topological sort for dependency order
+   * Look up issues or pull requests by item key in aliased batches
+   * Returns item key -> content for the ones found (inaccessible ones are left out)
    */
-  topologicalSort(issueIds) {
-    const visited = new Set();
-    const result = [];
-
-    const visit = (id) => {
-      if (visited.has(id)) return;
-      visited.add(id);
+  async fetchExternalIssues(keys) {
+    const found = new Map();
+
+    for (let offset = 0; offset < keys.length; offset += EXTERNAL_LOOKUP_BATCH_SIZE) {
+      const batch = keys.slice(offset, offset + EXTERNAL_LOOKUP_BATCH_SIZE);
+      const definitions = [];
+      const fields = [];
+      const variables = {};
+
+      batch.forEach((key, index) => {
+        const [, owner, name, number] = /^([^/]+)\/([^#]+)#(\d+)$/.exec(key) || [];
+        definitions.push(`$owner${index}: String!`, `$name${index}: String!`, `$number${index}: Int!`);
+        variables[`owner${index}`] = owner || '';
+        variables[`name${index}`] = name || '';
+        variables[`number${index}`] = parseInt(number) || 0;
+        fields.push(`
+          r${index}: repository(owner: $owner${index}, name: $name${index}) {
+            issueOrPullRequest(number: $number${index}) {
+              ... on Issue {${EXTERNAL_ISSUE_FIELDS}}
+              ... on PullRequest {${EXTERNAL_ISSUE_FIELDS}}
+            }
+          }`);
+      });
 
-      const deps = this.getDependencies(parseInt(id));
-      for (const depId of deps) {
-        visit(depId.toString());
+      let data;
+      try {
+        data = await this.octokit.graphql(`query(${definitions.join(', ')}) {${fields.join('')}\n}`, variables);
+      } catch (error) {
+        // Repositories we can't see fail their own alias; the rest still come back
+        data = error.data;
+        if (!data) {
+          this.logger.warn({ error: error.message, count: batch.length }, 'External blocker lookup failed');
+          continue;
+        }
       }
 
-      result.push(id);
-    };
-
-    for (const id of issueIds) {
-      visit(id);
+      batch.forEach((key, index) => {
+        const content = data?.[`r${index}`]?.issueOrPullRequest;
+        if (content?.number) found.set(key, content);
+      });
     }
 
-    return result;
+    return found;
   }
 
   /**
-   * Calculate dates for a single issue
+   * Blockers of an item that are neither in the project nor resolved externally
    */
-  calculateIssueDates(issueNumber) {
-    const item = this.projectItems.get(parseInt(issueNumber));
+  getUnresolvedBlockers(key) {
+    return this.getDependencies(key)
+      .filter(depKey => !this.projectItems.has(depKey) && !this.externalBlockers.get(depKey)?.resolved);
+  }
+
+  /**
+   * Download every item of a project from GitHub
+   */
+  async fetchProjectItems(owner, projectNumber) {
+    this.logger.info({ owner, projectNumber, accountType: this.accountType }, 'Loading project items');
+
+    const ownerType = this.getOwnerType();
+
+    // Query with pagination support (nested connections are completed below)
+    const query = `
+      query($owner: String!, $projectNumber: Int!, $cursor: String) {
+        ${ownerType}(login: $owner) {
+          projectV2(number: $projectNumber) {
+            id
+            items(first: 100, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                ${ITEM_SELECTION}
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    // Fetch all pages of items
+    const allItems = [];
+    let hasNextPage = true;
+    let cursor = null;
+    let pages = 0;
+
+    try {
+      while (hasNextPage) {
+        const result = await this.octokit.graphql(query, {
+          owner,
+          projectNumber,
+          cursor
+        });
+
+        const projectData = this.extractProjectData(result);
+        if (!projectData) {
+          throw new Error('Project not found in GraphQL response');
+        }
+
+        const items = projectData.items?.nodes || [];
+        allItems.push(...items);
+        pages++;
+
+        const nextCursor = projectData.items?.pageInfo?.endCursor;
+        hasNextPage = (projectData.items?.pageInfo?.hasNextPage || false) && !!nextCursor && nextCursor !== cursor;
+        cursor = nextCursor;
+      }
+
+      await this.completeNestedConnections(allItems);
+
+      this.logger.info({ result: `Fetched ${allItems.length} items across ${pages} page(s)` }, 'GraphQL response');
+    } catch (graphqlError) {
+      this.logger.error({ error: graphqlError.message, owner, projectNumber }, 'GraphQL query failed');
+      throw graphqlError;
+    }
+
+    return allItems;
+  }
+
+  /**
+   * Re-fetch individual project items into the item cache (webhook updates)
+   * Items GitHub no longer returns are dropped from the cache.
+   */
+  async refreshCachedItems(projectNumber, itemIds) {
+    await this.initialize();
+
+    const ids = [...new Set(itemIds)];
+    const fetched = [];
+    const removed = [];
+
+    for (let offset = 0; offset < ids.length; offset += 100) {
+      const chunk = ids.slice(offset, offset + 100);
+      const result = await this.octokit.graphql(`
+        query($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on ProjectV2Item {
+              ${ITEM_SELECTION}
+            }
+          }
+        }
+      `, { ids: chunk });
+
+      (result.nodes || []).forEach((node, index) => {
+        if (node?.id) fetched.push(node);
+        else removed.push(chunk[index]);
+      });
+    }
+
+    await this.completeNestedConnections(fetched);
+
+    upsertCachedProjectItems(this.installationId, projectNumber, fetched);
+    const deleted = removed.filter(itemId => deleteCachedProjectItem(this.installationId, projectNumber, itemId));
+
+    // Anything loaded in memory is now behind the cache
+    this.loadedProjectKey = null;
+
+    this.logger.info({ projectNumber, refreshed: fetched.length, removed: deleted.length }, 'Item cache updated');
+    return { refreshed: fetched.length, removed: deleted.length };
+  }
+
+  /**
+   * Where the loaded items came from and how old they are
+   */
+  getCacheStatus() {
+    if (!this.cacheStatus) return null;
+    return {
+      ...this.cacheStatus,
+      ageSeconds: Math.max(Math.round((Date.now() - Date.parse(this.cacheStatus.updatedAt + 'Z')) / 1000), 0)
+    };
+  }
+
+  /**
+   * Mirror successful date writes into the item cache so it stays current
+   * without another download
+   */
+  updateCachedDates(projectNumber, writes) {
+    const touched = new Map();
+
+    for (const { key, fieldName, value } of writes) {
+      const itemId = this.projectItems.get(key)?.itemId;
+      const raw = itemId && this.rawItems?.get(itemId);
+      const githubFieldName = DATE_FIELD_KEYS.includes(fieldName) ? this.fieldNames[fieldName] : null;
+      if (!raw || !githubFieldName) continue;
+
+      const nodes = raw.fieldValues.nodes;
+      const existing = nodes.find(fv => fv.field?.name &&
+        normalizeFieldName(fv.field.name) === normalizeFieldName(githubFieldName));
+      if (existing) existing.date = value;
+      else nodes.push({ field: { name: githubFieldName }, date: value });
+      touched.set(itemId, raw);
+    }
+
+    if (touched.size > 0) {
+      upsertCachedProjectItems(this.installationId, projectNumber, Array.from(touched.values()));
+    }
+  }
+
+  /**
+   * Fetch the remaining pages of any nested connection (assignees, sub-issues,
+   * blockers, field values) that didn't fit in the item query
+   */
+  async completeNestedConnections(items) {
+    let extraPages = 0;
+
+    for (const item of items) {
+      for (const [name, connection] of Object.entries(NESTED_CONNECTIONS)) {
+        const owner = connection.onItem ? item : item.content;
+        const current = owner?.[name];
+        const nodeId = connection.onItem ? item.id : item.content?.id;
+        const type = connection.onItem ? 'ProjectV2Item' : item.content?.__typename;
+        if (!current?.pageInfo?.hasNextPage || !nodeId || !type) continue;
+
+        let cursor = current.pageInfo.endCursor;
+        while (cursor) {
+          const result = await this.octokit.graphql(`
+            query($id: ID!, $cursor: String) {
+              node(id: $id) {
+                ... on ${type} {
+                  ${name}(first: 100, after: $cursor) {
+                    ${connection.selection}
+                  }
+                }
+              }
+            }
+          `, { id: nodeId, cursor });
+
+          const page = result.node?.[name];
+          current.nodes.push(...(page?.nodes || []));
+          extraPages++;
+
+          const nextCursor = page?.pageInfo?.endCursor;
+          cursor = page?.pageInfo?.hasNextPage && nextCursor !== cursor ? nextCursor : null;
+        }
+      }
+    }
+
+    if (extraPages > 0) {
+      this.logger.info({ extraPages }, 'Fetched remaining nested connection pages');
+    }
+  }
+
+  /**
+   * Get dependencies (blocker item keys) for an item
+   */
+  getDependencies(key) {
+    return this.issueDependencies.get(key) || [];
+  }
+
+  /**
+   * Get the type and lag of a dependency (finish-to-start with no lag unless declared)
+   */
+  getDependencyLink(key, dependencyKey) {
+    return this.dependencyLinks.get(`${key}:${dependencyKey}`) || { type: 'FS', lag: 0 };
+  }
+
+  /**
+   * Find a loaded item by key, or by bare issue number when that's unambiguous
+   */
+  findItem(reference) {
+    if (this.projectItems.has(reference)) return this.projectItems.get(reference);
+
+    const number = parseInt(reference);
+    if (String(number) !== String(reference).trim()) return null;
+
+    const matches = Array.from(this.projectItems.values()).filter(item => item.issueNumber === number);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Get the calendar to schedule an issue with.
+   * Assignees' time off is treated as non-working days: an issue with several
+   * assignees only progresses on days when all of them are available.
+   */
+  getCalendarForIssue(key) {
+    const item = this.projectItems.get(key);
+    const logins = (item?.assignees || []).filter(login => this.timeOffByLogin.has(login));
+    if (logins.length === 0) return this.dateUtils;
+
+    const cacheKey = logins.slice().sort().join(',');
+    if (!this.assigneeCalendars.has(cacheKey)) {
+      const daysOff = [];
+      for (const login of logins) {
+        for (const entry of this.timeOffByLogin.get(login)) {
+          let current = this.dateUtils.parseDate(entry.start_date);
+          const end = this.dateUtils.parseDate(entry.end_date);
+          while (current <= end) {
+            daysOff.push(this.dateUtils.formatDate(current));
+            current.setUTCDate(current.getUTCDate() + 1);
+          }
+        }
+      }
+      this.assigneeCalendars.set(cacheKey, this.dateUtils.withNonWorkingDates(daysOff));
+    }
+
+    return this.assigneeCalendars.get(cacheKey);
+  }
+
+  /**
+   * Get upcoming time off for an assignee
+   */
+  getUpcomingAbsences(login, today = new Date().toISOString().split('T')[0]) {
+    return (this.timeOffByLogin.get(login) || [])
+      .filter(entry => entry.end_date >= today)
+      .map(entry => {
+        // Count working days still to come within the absence (inclusive)
+        let workingDays = 0;
+        let current = this.dateUtils.parseDate(entry.start_date < today ? today : entry.start_date);
+        const end = this.dateUtils.parseDate(entry.end_date);
+        while (current <= end) {
+          if (this.dateUtils.isWorkingDay(current)) workingDays++;
+          current.setUTCDate(current.getUTCDate() + 1);
+        }
+
+        return {
+          id: entry.id,
+          startDate: entry.start_date,
+          endDate: entry.end_date,
+          reason: entry.reason,
+          workingDays
+        };
+      });
+  }
+
+  /**
+   * Get duration from Estimate field
+   */
+  getDuration(key) {
+    return this.getEstimateDays(this.projectItems.get(key)?.estimate) ?? DEFAULT_DURATION_DAYS;
+  }
+
+  /**
+   * Working days for an estimate under the project's estimate model (null if it doesn't convert)
+   */
+  getEstimateDays(estimate) {
+    return estimateToDays(estimate, this.estimation, this.settings.estimateDays);
+  }
+
+  /**
+   * Get buffer from Confidence field
+   */
+  getBuffer(key) {
+    const item = this.projectItems.get(key);
+    if (item?.confidence && this.settings.confidenceBuffer[item.confidence] !== undefined) {
+      return this.settings.confidenceBuffer[item.confidence];
+    }
+    return this.settings.confidenceBuffer['Medium'] || 2;
+  }
+
+  /**
+   * Find dependency cycles (strongly connected components of the blockedBy graph)
+   * Each cycle reports its member issues and one path through them, in blocking order.
+   */
+  detectDependencyCycles() {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let index = 0;
+
+    const strongConnect = (key) => {
+      indexes.set(key, index);
+      lowLinks.set(key, index);
+      index++;
+      stack.push(key);
+      onStack.add(key);
+
+      for (const depKey of this.getDependencies(key)) {
+        if (!indexes.has(depKey)) {
+          strongConnect(depKey);
+          lowLinks.set(key, Math.min(lowLinks.get(key), lowLinks.get(depKey)));
+        } else if (onStack.has(depKey)) {
+          lowLinks.set(key, Math.min(lowLinks.get(key), indexes.get(depKey)));
+        }
+      }
+
+      if (lowLinks.get(key) === indexes.get(key)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== key);
+        components.push(component);
+      }
+    };
+
+    for (const key of this.issueDependencies.keys()) {
+      if (!indexes.has(key)) {
+        strongConnect(key);
+      }
+    }
+
+    this.dependencyCycles = [];
+    this.cycleMembership.clear();
+
+    for (const component of components) {
+      const isSelfBlocking = component.length === 1 &&
+        this.getDependencies(component[0]).includes(component[0]);
+      if (component.length < 2 && !isSelfBlocking) continue;
+
+      const cycleIndex = this.dependencyCycles.length;
+      const issues = component.slice().sort(compareItemKeys);
+      for (const key of issues) {
+        this.cycleMembership.set(key, cycleIndex);
+      }
+
+      this.dependencyCycles.push({
+        issues,
+        path: this.findCyclePath(issues[0], new Set(issues))
+      });
+    }
+
+    if (this.dependencyCycles.length > 0) {
+      this.logger.warn({
+        cycles: this.dependencyCycles.map(c => c.path.join(' -> '))
+      }, 'Dependency cycles detected - affected items keep their current dates');
+    }
+
+    return this.dependencyCycles;
+  }
+
+  /**
+   * Shortest path from an issue back to itself within a cycle, following
+   * blocker -> blocked edges (e.g. [a#1, a#2, b#3, a#1]: a#1 blocks a#2 blocks b#3 blocks a#1)
+   */
+  findCyclePath(startKey, members) {
+    const blocks = new Map();
+    for (const key of members) {
+      for (const depKey of this.getDependencies(key)) {
+        if (!members.has(depKey)) continue;
+        if (!blocks.has(depKey)) blocks.set(depKey, []);
+        blocks.get(depKey).push(key);
+      }
+    }
+
+    const previous = new Map();
+    const queue = [startKey];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const next of blocks.get(current) || []) {
+        if (next === startKey) {
+          const path = [startKey];
+          for (let node = current; node !== startKey; node = previous.get(node)) {
+            path.splice(1, 0, node);
+          }
+          path.push(startKey);
+          return path;
+        }
+        if (!previous.has(next)) {
+          previous.set(next, current);
+          queue.push(next);
+        }
+      }
+    }
+
+    return [startKey, startKey];
+  }
+
+  /**
+   * Whether a dependency edge lies inside a cycle (and so can't order dates)
+   */
+  isCyclicDependency(key, dependencyKey) {
+    const cycleIndex = this.cycleMembership.get(key);
+    return cycleIndex !== undefined && cycleIndex === this.cycleMembership.get(dependencyKey);
+  }
+
+  /**
+   * Topological sort for dependency order
+   */
+  topologicalSort(issueIds) {
+    const visited = new Set();
+    const result = [];
+
+    const visit = (id) => {
+      if (visited.has(id)) return;
+      visited.add(id);
+
+      // Edges inside a cycle carry no ordering (see detectDependencyCycles)
+      const deps = this.getDependencies(id)
+        .filter(depId => !this.isCyclicDependency(id, depId));
+      for (const depId of deps) {
+        visit(depId);
+      }
+
+      result.push(id);
+    };
+
+    for (const id of issueIds) {
+      visit(id);
+    }
+
+    return result;
+  }
+
+  /**
+   * Calculate dates for a single item (issue, pull request or draft)
+   */
+  calculateIssueDates(key) {
+    const item = this.projectItems.get(key);
     if (!item) return null;
 
     const isCompleted = item.state === 'CLOSED' || item.status === 'Done';
@@ -439,307 +1439,958 @@ export class ProjectFlowEngine {
     // Completed items use actual dates
     if (isCompleted) {
       const endDate = item.actualEndDate || item.targetDate;
-      this.calculatedDates.set(issueNumber, {
+      this.calculatedDates.set(key, {
         startDate: item.startDate,
         targetDate: item.targetDate,
         endDateForDependents: endDate,
         isCompleted: true,
         isSummary: false
       });
-      return this.calculatedDates.get(issueNumber);
+      return this.calculatedDates.get(key);
+    }
+
+    // Items in a dependency cycle have no valid order - keep their current dates
+    if (this.cycleMembership.has(key)) {
+      this.calculatedDates.set(key, {
+        startDate: item.startDate || null,
+        targetDate: item.targetDate || null,
+        endDateForDependents: item.targetDate || null,
+        inCycle: true,
+        isCompleted: false,
+        isSummary: false
+      });
+      return this.calculatedDates.get(key);
     }
 
     // Parent issues with children - will be rolled up
     if (item.hasChildren) {
-      this.calculatedDates.set(issueNumber, {
+      this.calculatedDates.set(key, {
         startDate: null,
         targetDate: null,
         isCompleted: false,
         isSummary: true
       });
-      return this.calculatedDates.get(issueNumber);
+      return this.calculatedDates.get(key);
     }
 
     let startDate = null;
-    const dependencies = this.getDependencies(parseInt(issueNumber));
+    const dependencies = this.getDependencies(key);
+    const calendar = this.getCalendarForIssue(key);
+    const duration = this.getDuration(key);
+    const buffer = this.getBuffer(key);
+
+    // Work already under way keeps its actual start; only the rest is scheduled
+    if (this.isInProgress(item)) {
+      const percentComplete = Math.min(parsePercentComplete(item.percentComplete), 100);
+      const remainingDuration = Math.ceil((duration + buffer) * (1 - percentComplete / 100));
+      const targetDate = calendar.addWorkingDays(calendar.nextWorkingDay(new Date()), remainingDuration);
+
+      const dates = {
+        startDate: item.startDate,
+        targetDate: this.dateUtils.formatDate(targetDate),
+        endDateForDependents: this.dateUtils.formatDate(targetDate),
+        duration,
+        buffer,
+        percentComplete,
+        remainingDuration,
+        inProgress: true,
+        dependencies: dependencies.length,
+        constraint: item.constraintType && item.constraintDate
+          ? { type: item.constraintType, date: item.constraintDate }
+          : null,
+        constraintViolation: this.getFinishConstraintViolation(item, targetDate),
+        adjustedForTimeOff: calendar !== this.dateUtils,
+        isCompleted: false,
+        isSummary: false
+      };
 
-    // Calculate from dependencies
-    if (dependencies.length > 0) {
-      let latestDepEnd = null;
+      this.calculatedDates.set(key, dates);
+      return dates;
+    }
 
-      for (const depId of dependencies) {
-        const depDates = this.calculatedDates.get(depId.toString());
-        let depEndDate = depDates?.endDateForDependents || depDates?.targetDate;
+    // Calculate from dependencies - the latest start any of them allows wins
+    // (blockers outside the project use their resolved dates, see loadExternalBlockers)
+    for (const depId of dependencies) {
+      const depDates = this.calculatedDates.get(depId) || this.externalBlockers.get(depId)?.dates;
+      const depEndDate = depDates?.endDateForDependents || depDates?.targetDate;
+      const depStartDate = depDates?.startDate || depEndDate;
+      if (!depEndDate) continue;
+
+      const { type, lag } = this.getDependencyLink(key, depId);
+      let earliestStart;
+
+      if (type === 'SS') {
+        // Start-to-start: can start `lag` working days after the blocker starts
+        earliestStart = calendar.shiftWorkingDays(calendar.nextWorkingDay(this.dateUtils.parseDate(depStartDate)), lag);
+      } else if (type === 'FF') {
+        // Finish-to-finish: can't finish before the blocker finishes (plus lag)
+        const earliestFinish = calendar.shiftWorkingDays(this.dateUtils.parseDate(depEndDate), lag);
+        earliestStart = calendar.subtractWorkingDays(earliestFinish, duration + buffer);
+      } else {
+        // Finish-to-start: the working day after the blocker ends (plus lag)
+        const dayAfter = this.dateUtils.parseDate(depEndDate);
+        dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+        earliestStart = calendar.shiftWorkingDays(calendar.nextWorkingDay(dayAfter), lag);
+      }
 
-        if (depEndDate) {
-          const depEnd = this.dateUtils.parseDate(depEndDate);
-          if (!latestDepEnd || depEnd > latestDepEnd) {
-            latestDepEnd = depEnd;
-          }
+      if (!startDate || earliestStart > startDate) {
+        startDate = earliestStart;
+      }
+    }
+
+    // Fallback to today
+    if (!startDate) {
+      startDate = new Date();
+    }
+
+    // Apply schedule constraints
+    const constraint = item.constraintType && item.constraintDate
+      ? { type: item.constraintType, date: item.constraintDate }
+      : null;
+    let constraintViolation = null;
+
+    if (constraint?.type === 'SNET') {
+      const earliest = this.dateUtils.parseDate(constraint.date);
+      if (earliest > startDate) startDate = earliest;
+    } else if (constraint?.type === 'MSO') {
+      // Pinned start wins over dependencies, but flag when a blocker can't make it
+      const pinned = this.dateUtils.parseDate(constraint.date);
+      if (dependencies.length > 0 && calendar.nextWorkingDay(startDate) > calendar.nextWorkingDay(pinned)) {
+        constraintViolation = {
+          type: 'MSO',
+          date: constraint.date,
+          message: `Dependencies can't finish before the pinned start (${constraint.date})`
+        };
+      }
+      startDate = pinned;
+    }
+
+    startDate = calendar.nextWorkingDay(startDate);
+
+    // Calculate target date (skipping the assignees' time off)
+    const targetDate = calendar.addWorkingDays(startDate, duration + buffer);
+
+    constraintViolation = this.getFinishConstraintViolation(item, targetDate) || constraintViolation;
+
+    const dates = {
+      startDate: this.dateUtils.formatDate(startDate),
+      targetDate: this.dateUtils.formatDate(targetDate),
+      endDateForDependents: this.dateUtils.formatDate(targetDate),
+      duration,
+      buffer,
+      dependencies: dependencies.length,
+      unresolvedBlockers: this.getUnresolvedBlockers(key),
+      constraint,
+      constraintViolation,
+      adjustedForTimeOff: calendar !== this.dateUtils,
+      isCompleted: false,
+      isSummary: false
+    };
+
+    this.calculatedDates.set(key, dates);
+    return dates;
+  }
+
+  /**
+   * Whether an item has started: In Progress (or partly complete) with a start date
+   * that isn't in the future
+   */
+  isInProgress(item) {
+    if (!item.startDate || item.startDate > this.dateUtils.formatDate(new Date())) return false;
+    return item.status === 'In Progress' || parsePercentComplete(item.percentComplete) > 0;
+  }
+
+  /**
+   * Check a projected finish against a Finish No Later Than constraint
+   */
+  getFinishConstraintViolation(item, targetDate) {
+    if (item.constraintType !== 'FNLT' || !item.constraintDate) return null;
+
+    const finish = this.dateUtils.formatDate(targetDate);
+    if (finish <= item.constraintDate) return null;
+
+    return {
+      type: 'FNLT',
+      date: item.constraintDate,
+      message: `Projected to finish ${finish}, after the ${item.constraintDate} deadline`
+    };
+  }
+
+  /**
+   * Roll up parent dates from children
+   */
+  rollUpParentDates() {
+    for (const [parentKey, childKeys] of this.parentChildren) {
+      const childDates = childKeys
+        .map(childKey => this.calculatedDates.get(childKey))
+        .filter(d => d && d.startDate && d.targetDate);
+
+      if (childDates.length === 0) continue;
+
+      const startDates = childDates.map(d => this.dateUtils.parseDate(d.startDate));
+      const targetDates = childDates.map(d => this.dateUtils.parseDate(d.targetDate));
+
+      const minStart = this.dateUtils.minDate(startDates);
+      const maxTarget = this.dateUtils.maxDate(targetDates);
+
+      if (minStart && maxTarget) {
+        this.calculatedDates.set(parentKey, {
+          startDate: this.dateUtils.formatDate(minStart),
+          targetDate: this.dateUtils.formatDate(maxTarget),
+          isCompleted: false,
+          isSummary: true,
+          childCount: childKeys.length
+        });
+      }
+    }
+  }
+
+  /**
+   * Calculate all dates
+   */
+  calculateAllDates() {
+    this.calculatedDates.clear();
+    this.detectDependencyCycles();
+
+    const sorted = this.topologicalSort(Array.from(this.projectItems.keys()));
+
+    for (const key of sorted) {
+      this.calculateIssueDates(key);
+    }
+
+    this.levelingReport = null;
+    if (this.isLevelingEnabled()) {
+      this.levelResources();
+    }
+
+    this.rollUpParentDates();
+
+    return this.calculatedDates;
+  }
+
+  /**
+   * Resource leveling is off unless enabled for the installation or the project
+   * (settings.resourceLeveling / project settings.resourceLeveling)
+   */
+  isLevelingEnabled() {
+    if (this.levelingOverride !== undefined) {
+      return !!this.levelingOverride;
+    }
+    return this.isLevelingConfigured();
+  }
+
+  isLevelingConfigured() {
+    if (this.projectSettings.resourceLeveling !== undefined) {
+      return !!this.projectSettings.resourceLeveling;
+    }
+    return !!this.settings.resourceLeveling;
+  }
+
+  /**
+   * Capacity of an assignee as a fraction of a full-time working week.
+   * Configured with settings.resourceCapacity = {
+   *   default: { daysPerWeek, allocation },
+   *   assignees: { [login]: { daysPerWeek, allocation } }
+   * }
+   */
+  getAssigneeCapacity(login) {
+    const capacity = this.settings.resourceCapacity || {};
+    const config = { daysPerWeek: null, allocation: 100, ...capacity.default, ...capacity.assignees?.[login] };
+
+    const workingDaysPerWeek = 7 - this.dateUtils.weekendDays.length;
+    const daysPerWeek = Math.min(config.daysPerWeek ?? workingDaysPerWeek, workingDaysPerWeek);
+    const factor = (daysPerWeek / workingDaysPerWeek) * (config.allocation / 100);
+
+    return { daysPerWeek, allocation: config.allocation, factor: Math.max(factor, 0.05) };
+  }
+
+  /**
+   * Re-run the schedule so each assignee works on one issue at a time at their
+   * configured capacity. Issues are taken in dependency order, earliest
+   * unleveled start first; an issue waits until all of its assignees are free.
+   * Completed, summary and cyclic issues are left alone, and in-progress or
+   * must-start-on issues keep their start but still occupy their assignees.
+   */
+  levelResources() {
+    const unleveled = new Map(this.calculatedDates);
+    const busyUntil = new Map(); // login -> { date (first free day), until, key }
+    const pushed = [];
+
+    // Dependency counts for list scheduling (edges inside cycles carry no order)
+    const waitingOn = new Map();
+    const dependents = new Map();
+    for (const key of this.projectItems.keys()) {
+      const deps = this.getDependencies(key)
+        .filter(d => this.projectItems.has(d) && !this.isCyclicDependency(key, d));
+      waitingOn.set(key, deps.length);
+      for (const dep of deps) {
+        if (!dependents.has(dep)) dependents.set(dep, []);
+        dependents.get(dep).push(key);
+      }
+    }
+
+    const unleveledStart = (key) => unleveled.get(key)?.startDate || '9999-12-31';
+    const ready = Array.from(waitingOn.keys()).filter(n => waitingOn.get(n) === 0);
+
+    this.calculatedDates.clear();
+
+    while (ready.length > 0) {
+      ready.sort((a, b) => unleveledStart(a).localeCompare(unleveledStart(b)) || compareItemKeys(a, b));
+      const key = ready.shift();
+
+      const dates = this.calculateIssueDates(key);
+      const item = this.projectItems.get(key);
+      const assignees = item?.assignees || [];
+
+      if (dates && !dates.isCompleted && !dates.isSummary && !dates.inCycle && assignees.length > 0) {
+        this.levelIssue(key, item, dates, unleveled.get(key), busyUntil, pushed);
+      }
+
+      for (const dependent of dependents.get(key) || []) {
+        waitingOn.set(dependent, waitingOn.get(dependent) - 1);
+        if (waitingOn.get(dependent) === 0) ready.push(dependent);
+      }
+    }
+
+    // Anything left is stuck behind a cycle - fall back to the unleveled dates
+    for (const [key, dates] of unleveled) {
+      if (!this.calculatedDates.has(key)) {
+        this.calculatedDates.set(key, dates);
+      }
+    }
+
+    this.levelingReport = {
+      enabled: true,
+      pushed: pushed.sort((a, b) => compareItemKeys(a.key, b.key))
+    };
+
+    this.logger.info({ pushed: pushed.length }, 'Resource leveling applied');
+  }
+
+  /**
+   * Fit one issue into its assignees' availability and capacity
+   */
+  levelIssue(key, item, dates, original, busyUntil, pushed) {
+    const calendar = this.getCalendarForIssue(key);
+    const reasons = [];
+
+    // The slowest assignee sets the pace
+    const capacities = item.assignees.map(login => ({ login, ...this.getAssigneeCapacity(login) }));
+    const slowest = capacities.reduce((min, c) => c.factor < min.factor ? c : min);
+    const work = dates.inProgress ? dates.remainingDuration : dates.duration + dates.buffer;
+    const leveledWork = Math.ceil(work / slowest.factor);
+
+    if (leveledWork > work) {
+      reasons.push(`@${slowest.login} works ${slowest.daysPerWeek} day${slowest.daysPerWeek !== 1 ? 's' : ''}/week at ${slowest.allocation}% allocation`);
+    }
+
+    let startDate = dates.inProgress ? calendar.nextWorkingDay(new Date()) : this.dateUtils.parseDate(dates.startDate);
+    const isPinned = dates.inProgress || dates.constraint?.type === 'MSO';
+
+    if (!isPinned) {
+      if (dates.startDate > original.startDate) {
+        reasons.push('Dependencies finish later after leveling');
+      }
+      for (const login of item.assignees) {
+        const busy = busyUntil.get(login);
+        if (busy && busy.date > startDate) {
+          startDate = busy.date;
+          reasons.push(`@${login} is busy with ${busy.key} until ${busy.until}`);
+        }
+      }
+      startDate = calendar.nextWorkingDay(startDate);
+    }
+
+    const targetDate = calendar.addWorkingDays(startDate, leveledWork);
+    const freeFrom = new Date(targetDate);
+    freeFrom.setUTCDate(freeFrom.getUTCDate() + 1);
+
+    for (const login of item.assignees) {
+      const busy = busyUntil.get(login);
+      if (!busy || freeFrom > busy.date) {
+        busyUntil.set(login, { date: freeFrom, until: this.dateUtils.formatDate(targetDate), key });
+      }
+    }
+
+    const leveled = {
+      ...dates,
+      startDate: dates.inProgress ? dates.startDate : this.dateUtils.formatDate(startDate),
+      targetDate: this.dateUtils.formatDate(targetDate),
+      endDateForDependents: this.dateUtils.formatDate(targetDate),
+      constraintViolation: this.getFinishConstraintViolation(item, targetDate) || (
+        dates.constraintViolation?.type === 'MSO' ? dates.constraintViolation : null
+      )
+    };
+
+    if (leveled.startDate !== original.startDate || leveled.targetDate !== original.targetDate) {
+      leveled.leveled = true;
+      pushed.push({
+        key,
+        repository: item.repository,
+        issueNumber: item.issueNumber,
+        title: item.title,
+        assignees: item.assignees,
+        originalStart: original.startDate,
+        originalTarget: original.targetDate,
+        leveledStart: leveled.startDate,
+        leveledTarget: leveled.targetDate,
+        reasons
+      });
+    }
+
+    this.calculatedDates.set(key, leveled);
+  }
+
+  /**
+   * Get field ID by name, fetching from GitHub if not cached
+   */
+  async getFieldId(projectId, fieldName) {
+    // Map internal field names to the project's GitHub field names
+    if (!DATE_FIELD_KEYS.includes(fieldName)) return null;
+    const githubFieldName = this.fieldNames[fieldName];
+
+    // Fetch and cache field IDs if not already done
+    if (!this.cachedFieldIds) {
+      try {
+        const fields = await getProjectFields(this.octokit, projectId);
+        this.cachedFieldIds = {};
+        for (const field of fields) {
+          this.cachedFieldIds[normalizeFieldName(field.name)] = field.id;
         }
+        this.logger.info({ fieldCount: fields.length }, 'Fetched and cached project field IDs');
+      } catch (error) {
+        this.logger.error({ error: error.message }, 'Failed to fetch project fields');
+        return null;
+      }
+    }
+
+    return this.cachedFieldIds[normalizeFieldName(githubFieldName)];
+  }
+
+  /**
+   * Update a single field value in GitHub
+   */
+  async updateItemField(project, key, fieldName, value) {
+    const { updated } = await this.updateItemFields(project, [{ key, fieldName, value }]);
+    return updated.includes(key);
+  }
+
+  /**
+   * Update many date fields in batched mutations (see field-updates.js)
+   * updates: [{ key, fieldName, value }] (key is the item key)
+   * Returns keys of items whose fields were all written, the fields written per item
+   * (item key -> field names, including items that partly failed), and per-item failures
+   */
+  async updateItemFields(project, updates) {
+    // First try stored field IDs, then dynamically fetch
+    const storedFieldIdMap = {
+      startDate: project.start_date_field_id,
+      targetDate: project.target_date_field_id,
+      actualEndDate: project.actual_end_date_field_id,
+      baselineStart: project.baseline_start_field_id,
+      baselineTarget: project.baseline_target_field_id
+    };
+
+    const failures = new Map(); // item key -> { fields, errors }
+    const addFailure = (key, fieldName, error) => {
+      if (!failures.has(key)) failures.set(key, { fields: [], errors: [] });
+      const failure = failures.get(key);
+      failure.fields.push(fieldName);
+      if (!failure.errors.includes(error)) failure.errors.push(error);
+    };
+
+    const requests = [];
+    const written = new Map();
+    for (const update of updates) {
+      const item = this.projectItems.get(update.key);
+      if (!item) {
+        addFailure(update.key, update.fieldName, 'Item not found in project');
+        continue;
       }
 
-      if (latestDepEnd) {
-        startDate = new Date(latestDepEnd);
-        startDate.setUTCDate(startDate.getUTCDate() + 1);
-        startDate = this.dateUtils.nextWorkingDay(startDate);
-      }
-    }
+      const fieldId = storedFieldIdMap[update.fieldName] || await this.getFieldId(project.project_id, update.fieldName);
+      if (!fieldId) {
+        this.logger.warn({ fieldName: update.fieldName }, 'Field ID not found');
+        addFailure(update.key, update.fieldName, `Field ID not found: ${update.fieldName}`);
+        continue;
+      }
+
+      requests.push({
+        key: requests.length,
+        itemId: item.itemId,
+        fieldId,
+        date: update.value,
+        itemKey: update.key,
+        fieldName: update.fieldName
+      });
+    }
+
+    if (requests.length > 0) {
+      // The loaded dataset no longer matches GitHub
+      this.loadedProjectKey = null;
+
+      const { succeeded, failed } = await updateDateFields(this.octokit, project.project_id, requests, {
+        logger: this.logger
+      });
+
+      for (const { key, error } of failed) {
+        const request = requests[key];
+        this.logger.error({ error, item: request.itemKey, fieldName: request.fieldName }, 'Failed to update field');
+        addFailure(request.itemKey, request.fieldName, error);
+      }
+
+      for (const key of succeeded) {
+        const { itemKey, fieldName } = requests[key];
+        if (!written.has(itemKey)) written.set(itemKey, []);
+        written.get(itemKey).push(fieldName);
+      }
+
+      this.updateCachedDates(project.project_number, succeeded.map(key => ({
+        key: requests[key].itemKey,
+        fieldName: requests[key].fieldName,
+        value: requests[key].date
+      })));
+      this.logger.debug({ updated: succeeded.length, failed: failed.length }, 'Updated fields');
+    }
+
+    const touched = [...new Set(updates.map(u => u.key))];
+    return {
+      updated: touched.filter(key => !failures.has(key)),
+      written,
+      failed: Array.from(failures, ([key, failure]) => ({
+        key,
+        issueNumber: this.projectItems.get(key)?.issueNumber ?? null,
+        ...failure
+      }))
+    };
+  }
+
+  /**
+   * Recalculate and update all dates
+   */
+  async recalculateAll(owner, projectNumber, options = {}) {
+    const { trigger = 'manual', triggerDetail = null, refresh = false } = options;
+
+    await this.loadProjectItems(owner, projectNumber, { refresh });
+    const project = getProject(this.installationId, owner, projectNumber);
+
+    this.calculateAllDates();
+
+    const diff = this.diffCalculatedDates();
+    const skipped = diff.unchanged;
+
+    const { updated: updatedKeys, written, failed } = await this.updateItemFields(project, diff.changes.flatMap(change => [
+      { key: change.key, fieldName: 'startDate', value: change.startDate },
+      { key: change.key, fieldName: 'targetDate', value: change.targetDate }
+    ]));
+    const changes = this.getWrittenChanges(diff.changes, written);
+    const updated = updatedKeys.length;
+
+    this.recordScheduleHistory(projectNumber, changes, trigger, triggerDetail);
+
+    const cycles = this.dependencyCycles.map(c => c.path);
+
+    // Log audit
+    logAudit(this.installationId, 'recalculate', {
+      owner,
+      projectNumber,
+      updated,
+      skipped,
+      failed: failed.length,
+      cycles: cycles.length,
+      leveled: this.levelingReport?.pushed.length || 0
+    });
+
+    this.logger.info({ updated, skipped, failed: failed.length, cycles: cycles.length }, 'Recalculation complete');
+
+    return {
+      updated,
+      skipped,
+      failed,
+      cycles,
+      leveling: this.levelingReport,
+      unresolvedBlockers: this.listUnresolvedBlockers()
+    };
+  }
+
+  /**
+   * Unresolved blockers outside the project, with the items they block
+   */
+  listUnresolvedBlockers() {
+    const result = [];
+    for (const blocker of this.externalBlockers.values()) {
+      if (blocker.resolved) continue;
+      const blocks = Array.from(this.issueDependencies)
+        .filter(([, blockerKeys]) => blockerKeys.includes(blocker.key))
+        .map(([key]) => key)
+        .sort(compareItemKeys);
+      result.push({ key: blocker.key, reason: blocker.reason, blocks });
+    }
+    return result.sort((a, b) => compareItemKeys(a.key, b.key));
+  }
+
+  /**
+   * Compare calculated dates with the dates currently on the project
+   * Returns the open items whose Start or Target would change
+   */
+  diffCalculatedDates() {
+    const changes = [];
+    let unchanged = 0;
+
+    for (const [key, dates] of this.calculatedDates) {
+      const item = this.projectItems.get(key);
+      if (!item) continue;
+
+      // Skip if no change, and never touch completed items
+      if ((item.startDate === dates.startDate && item.targetDate === dates.targetDate) || dates.isCompleted) {
+        unchanged++;
+        continue;
+      }
+
+      changes.push({
+        key,
+        repository: item.repository,
+        issueNumber: item.issueNumber,
+        previousStart: item.startDate || null,
+        previousTarget: item.targetDate || null,
+        startDate: dates.startDate,
+        targetDate: dates.targetDate
+      });
+    }
+
+    return { changes, unchanged };
+  }
+
+  /**
+   * Dry run of recalculateAll: the date changes it would write, without writing them
+   */
+  async previewRecalculation(owner, projectNumber, options = {}) {
+    await this.loadProjectItems(owner, projectNumber, { refresh: options.refresh });
+    this.calculateAllDates();
+
+    const { changes, unchanged } = this.diffCalculatedDates();
+    const changed = new Set(changes.map(c => c.key));
+    const shift = (from, to) => {
+      if (!from || !to) return null;
+      if (from === to) return 0;
+      return from < to
+        ? this.dateUtils.workingDaysBetween(this.dateUtils.parseDate(from), this.dateUtils.parseDate(to))
+        : -this.dateUtils.workingDaysBetween(this.dateUtils.parseDate(to), this.dateUtils.parseDate(from));
+    };
 
-    // Fallback to today
-    if (!startDate) {
-      startDate = this.dateUtils.nextWorkingDay(new Date());
-    }
+    const preview = changes.map(change => {
+      const item = this.projectItems.get(change.key);
+      const dueOn = item.milestone?.dueOn ? item.milestone.dueOn.split('T')[0] : null;
 
-    // Calculate target date
-    const duration = this.getDuration(parseInt(issueNumber));
-    const buffer = this.getBuffer(parseInt(issueNumber));
-    const targetDate = this.dateUtils.addWorkingDays(startDate, duration + buffer);
+      // Cascaded: moved because something it depends on (or one of its children) moved
+      const upstream = [
+        ...this.getDependencies(change.key),
+        ...(this.parentChildren.get(change.key) || [])
+      ].filter(key => changed.has(key));
 
-    const dates = {
-      startDate: this.dateUtils.formatDate(startDate),
-      targetDate: this.dateUtils.formatDate(targetDate),
-      endDateForDependents: this.dateUtils.formatDate(targetDate),
-      duration,
-      buffer,
-      dependencies: dependencies.length,
-      isCompleted: false,
-      isSummary: false
-    };
+      return {
+        ...change,
+        title: item.title,
+        startShift: shift(change.previousStart, change.startDate),
+        targetShift: shift(change.previousTarget, change.targetDate),
+        cascaded: upstream.length > 0,
+        causedBy: upstream,
+        milestone: item.milestone
+          ? { key: item.milestone.key, number: item.milestone.number, title: item.milestone.title, dueOn }
+          : null,
+        pastMilestoneDue: !!dueOn && change.targetDate > dueOn && !(change.previousTarget > dueOn)
+      };
+    });
 
-    this.calculatedDates.set(issueNumber, dates);
-    return dates;
+    return {
+      changes: preview,
+      summary: {
+        changed: preview.length,
+        cascaded: preview.filter(c => c.cascaded).length,
+        pastMilestoneDue: preview.filter(c => c.pastMilestoneDue).length,
+        unchanged
+      },
+      cycles: this.dependencyCycles.map(c => c.path),
+      leveling: this.levelingReport,
+      unresolvedBlockers: this.listUnresolvedBlockers()
+    };
   }
 
   /**
-   * Roll up parent dates from children
+   * Write a previewed diff exactly as previewed
+   * Items whose dates changed on GitHub since the preview are left alone and reported as stale.
+   * A change with `fields` (a retry of failed writes) only checks and writes those fields.
    */
-  rollUpParentDates() {
-    for (const [parentNum, childNums] of this.parentChildren) {
-      const childDates = childNums
-        .map(num => this.calculatedDates.get(num.toString()))
-        .filter(d => d && d.startDate && d.targetDate);
+  async applyRecalculation(owner, projectNumber, previewChanges, options = {}) {
+    const { trigger = 'preview-apply', triggerDetail = null } = options;
 
-      if (childDates.length === 0) continue;
+    // Always compare against what's on GitHub now
+    await this.loadProjectItems(owner, projectNumber, { refresh: true });
+    const project = getProject(this.installationId, owner, projectNumber);
 
-      const startDates = childDates.map(d => this.dateUtils.parseDate(d.startDate));
-      const targetDates = childDates.map(d => this.dateUtils.parseDate(d.targetDate));
+    const stale = [];
+    const current = [];
 
-      const minStart = this.dateUtils.minDate(startDates);
-      const maxTarget = this.dateUtils.maxDate(targetDates);
+    const previousValue = { startDate: 'previousStart', targetDate: 'previousTarget' };
+    const fieldsOf = change => change.fields || ['startDate', 'targetDate'];
 
-      if (minStart && maxTarget) {
-        this.calculatedDates.set(parentNum.toString(), {
-          startDate: this.dateUtils.formatDate(minStart),
-          targetDate: this.dateUtils.formatDate(maxTarget),
-          isCompleted: false,
-          isSummary: true,
-          childCount: childNums.length
-        });
+    for (const change of previewChanges) {
+      const item = this.projectItems.get(change.key);
+      if (!item || fieldsOf(change).some(fieldName => (item[fieldName] || null) !== change[previousValue[fieldName]])) {
+        stale.push(change.key);
+      } else {
+        current.push(change);
       }
     }
-  }
 
-  /**
-   * Calculate all dates
-   */
-  calculateAllDates() {
-    this.calculatedDates.clear();
+    const { updated: updatedKeys, written, failed } = await this.updateItemFields(project, current.flatMap(change =>
+      fieldsOf(change).map(fieldName => ({ key: change.key, fieldName, value: change[fieldName] }))
+    ));
 
-    const allIssueNumbers = Array.from(this.projectItems.keys()).map(n => n.toString());
-    const sorted = this.topologicalSort(allIssueNumbers);
+    const changes = this.getWrittenChanges(current, written);
+    const updated = updatedKeys.length;
 
-    for (const issueId of sorted) {
-      this.calculateIssueDates(issueId);
+    if (changes.length > 0) {
+      recordScheduleChanges(this.installationId, projectNumber, changes, trigger, triggerDetail);
     }
 
-    this.rollUpParentDates();
+    logAudit(this.installationId, 'recalculate.apply', {
+      owner,
+      projectNumber,
+      updated,
+      stale: stale.length,
+      failed: failed.length
+    });
 
-    return this.calculatedDates;
+    this.logger.info({ updated, stale: stale.length, failed: failed.length }, 'Previewed recalculation applied');
+
+    return { updated, stale, failed };
   }
 
   /**
-   * Get field ID by name, fetching from GitHub if not cached
+   * Date changes as far as they were written, for the schedule history
+   * (a field that wasn't written keeps the item's current value on both sides)
    */
-  async getFieldId(projectId, fieldName) {
-    // Map internal field names to GitHub field names
-    const fieldNameMap = {
-      startDate: 'Start Date',
-      targetDate: 'Target Date',
-      actualEndDate: 'Actual End Date',
-      baselineStart: 'Baseline Start',
-      baselineTarget: 'Baseline Target'
-    };
+  getWrittenChanges(changes, written) {
+    return changes
+      .filter(change => written.has(change.key))
+      .map(change => {
+        const item = this.projectItems.get(change.key);
+        const wrote = fieldName => written.get(change.key).includes(fieldName);
+
+        return {
+          key: change.key,
+          issueNumber: change.issueNumber,
+          previousStart: wrote('startDate') ? change.previousStart : item.startDate || null,
+          previousTarget: wrote('targetDate') ? change.previousTarget : item.targetDate || null,
+          startDate: wrote('startDate') ? change.startDate : item.startDate || null,
+          targetDate: wrote('targetDate') ? change.targetDate : item.targetDate || null
+        };
+      });
+  }
 
-    const githubFieldName = fieldNameMap[fieldName];
-    if (!githubFieldName) return null;
+  /**
+   * Persist date changes and, when something moved (or once a day), a project snapshot
+   */
+  recordScheduleHistory(projectNumber, changes, trigger, triggerDetail = null) {
+    if (changes.length > 0) {
+      recordScheduleChanges(this.installationId, projectNumber, changes, trigger, triggerDetail);
+    }
 
-    // Fetch and cache field IDs if not already done
-    if (!this.cachedFieldIds) {
-      try {
-        const fields = await getProjectFields(this.octokit, projectId);
-        this.cachedFieldIds = {};
-        for (const field of fields) {
-          this.cachedFieldIds[field.name] = field.id;
-        }
-        this.logger.info({ fieldCount: fields.length }, 'Fetched and cached project field IDs');
-      } catch (error) {
-        this.logger.error({ error: error.message }, 'Failed to fetch project fields');
-        return null;
-      }
+    const today = this.dateUtils.formatDate(new Date());
+    const latest = getLatestScheduleSnapshot(this.installationId, projectNumber);
+    if (changes.length === 0 && latest?.recorded_at?.startsWith(today)) return;
+
+    const targets = Array.from(this.calculatedDates.values()).map(d => d.targetDate).filter(Boolean);
+    const milestones = [];
+    for (const [key, itemKeys] of this.milestoneEpics) {
+      const milestone = this.projectItems.get(itemKeys[0])?.milestone || {};
+      const finishes = itemKeys
+        .map(itemKey => this.calculatedDates.get(itemKey)?.targetDate)
+        .filter(Boolean)
+        .sort();
+
+      milestones.push({
+        key,
+        number: milestone.number,
+        title: milestone.title,
+        dueOn: milestone.dueOn ? milestone.dueOn.split('T')[0] : null,
+        projectedFinish: finishes.pop() || null
+      });
     }
 
-    return this.cachedFieldIds[githubFieldName];
+    recordScheduleSnapshot(this.installationId, projectNumber, {
+      trigger,
+      projectEnd: targets.sort().pop() || null,
+      milestones,
+      itemCount: this.projectItems.size,
+      updatedCount: changes.length
+    });
   }
 
   /**
-   * Update a single field value in GitHub
+   * Save baseline dates
    */
-  async updateItemField(project, issueNumber, fieldName, value) {
-    const item = this.projectItems.get(issueNumber);
-    if (!item) return false;
+  async saveBaseline(owner, projectNumber, options = {}) {
+    await this.loadProjectItems(owner, projectNumber, { refresh: options.refresh });
+    const project = getProject(this.installationId, owner, projectNumber);
 
-    // First try stored field IDs, then dynamically fetch
-    const storedFieldIdMap = {
-      startDate: project.start_date_field_id,
-      targetDate: project.target_date_field_id,
-      actualEndDate: project.actual_end_date_field_id,
-      baselineStart: project.baseline_start_field_id,
-      baselineTarget: project.baseline_target_field_id
-    };
+    const baselineId = this.snapshotBaseline(projectNumber, options);
+    const updates = [];
 
-    let fieldId = storedFieldIdMap[fieldName];
+    for (const [key, item] of this.projectItems) {
+      if (!item.startDate && !item.targetDate) continue;
 
-    // If not stored, fetch dynamically
-    if (!fieldId) {
-      fieldId = await this.getFieldId(project.project_id, fieldName);
+      if (item.startDate && !item.baselineStart) {
+        updates.push({ key, fieldName: 'baselineStart', value: item.startDate });
+      }
+      if (item.targetDate && !item.baselineTarget) {
+        updates.push({ key, fieldName: 'baselineTarget', value: item.targetDate });
+      }
     }
 
-    if (!fieldId) {
-      this.logger.warn({ fieldName }, 'Field ID not found');
-      return false;
-    }
+    const { updated, failed } = await this.updateItemFields(project, updates);
+    const saved = updated.length;
 
-    const mutation = `
-      mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $date: Date!) {
-        updateProjectV2ItemFieldValue(
-          input: {
-            projectId: $projectId
-            itemId: $itemId
-            fieldId: $fieldId
-            value: { date: $date }
-          }
-        ) {
-          projectV2Item { id }
-        }
-      }
-    `;
+    logAudit(this.installationId, 'save-baseline', { owner, projectNumber, saved, failed: failed.length, baselineId });
 
-    try {
-      await this.octokit.graphql(mutation, {
-        projectId: project.project_id,
-        itemId: item.itemId,
-        fieldId: fieldId,
-        date: value
-      });
+    return { saved, failed, baselineId };
+  }
+
+  /**
+   * Store every item's current dates as a named baseline in SQLite
+   */
+  snapshotBaseline(projectNumber, options = {}) {
+    const items = Array.from(this.projectItems.values())
+      .filter(item => item.startDate || item.targetDate)
+      .map(item => ({
+        key: item.key,
+        issueNumber: item.issueNumber,
+        title: item.title,
+        startDate: item.startDate,
+        targetDate: item.targetDate,
+        estimate: item.estimate,
+        state: item.state
+      }));
+
+    return createBaseline(this.installationId, projectNumber, {
+      name: options.name || this.defaultBaselineName(projectNumber),
+      description: options.description,
+      createdBy: options.createdBy,
+      items
+    });
+  }
 
-      this.logger.debug({ issueNumber, fieldName, value }, 'Updated field');
-      return true;
-    } catch (error) {
-      this.logger.error({ error, issueNumber, fieldName }, 'Failed to update field');
-      return false;
+  /**
+   * "Baseline YYYY-MM-DD", numbered when the date is already taken (names are unique per project)
+   */
+  defaultBaselineName(projectNumber) {
+    const base = `Baseline ${this.dateUtils.formatDate(new Date())}`;
+    let name = base;
+    for (let n = 2; getBaselineByName(this.installationId, projectNumber, name); n++) {
+      name = `${base} (${n})`;
     }
+    return name;
   }
 
   /**
-   * Recalculate and update all dates
+   * Re-baseline: snapshot the current plan and overwrite the Baseline Start /
+   * Baseline Target fields on every item, including ones that already have values
    */
-  async recalculateAll(owner, projectNumber) {
-    await this.loadProjectItems(owner, projectNumber);
+  async rebaseline(owner, projectNumber, options = {}) {
+    await this.loadProjectItems(owner, projectNumber, { refresh: options.refresh });
     const project = getProject(this.installationId, owner, projectNumber);
 
-    this.calculateAllDates();
+    const baselineId = this.snapshotBaseline(projectNumber, options);
+    const updates = [];
+    const candidates = [];
 
-    let updated = 0;
-    let skipped = 0;
+    for (const [key, item] of this.projectItems) {
+      if (!item.startDate && !item.targetDate) continue;
 
-    for (const [issueId, dates] of this.calculatedDates) {
-      const item = this.projectItems.get(parseInt(issueId));
-      if (!item) continue;
+      const startChanged = item.startDate && item.startDate !== item.baselineStart;
+      const targetChanged = item.targetDate && item.targetDate !== item.baselineTarget;
+      if (!startChanged && !targetChanged) continue;
 
-      // Skip if no change
-      if (item.startDate === dates.startDate && item.targetDate === dates.targetDate) {
-        skipped++;
-        continue;
+      if (startChanged) {
+        updates.push({ key, fieldName: 'baselineStart', value: item.startDate });
       }
-
-      // Skip completed items
-      if (dates.isCompleted) {
-        skipped++;
-        continue;
+      if (targetChanged) {
+        updates.push({ key, fieldName: 'baselineTarget', value: item.targetDate });
       }
+      candidates.push([key, item]);
+    }
 
-      // Update dates
-      const startUpdated = await this.updateItemField(project, parseInt(issueId), 'startDate', dates.startDate);
-      const targetUpdated = await this.updateItemField(project, parseInt(issueId), 'targetDate', dates.targetDate);
-
-      if (startUpdated && targetUpdated) {
-        updated++;
-      }
+    const { updated: written, failed } = await this.updateItemFields(project, updates);
+    const changes = [];
+
+    for (const [key, item] of candidates) {
+      if (!written.includes(key)) continue;
+      changes.push({
+        key,
+        issueNumber: item.issueNumber,
+        previousStart: item.baselineStart || null,
+        previousTarget: item.baselineTarget || null,
+        start: item.startDate || null,
+        target: item.targetDate || null
+      });
     }
+    const updated = changes.length;
 
-    // Log audit
-    logAudit(this.installationId, 'recalculate', {
+    logAudit(this.installationId, 'rebaseline', {
       owner,
       projectNumber,
+      baselineId,
+      name: options.name || null,
+      createdBy: options.createdBy || null,
       updated,
-      skipped
+      failed: failed.length,
+      changes
     });
 
-    this.logger.info({ updated, skipped }, 'Recalculation complete');
+    this.logger.info({ owner, projectNumber, baselineId, updated, failed: failed.length }, 'Re-baseline complete');
 
-    return { updated, skipped };
+    return { updated, failed, baselineId };
   }
 
   /**
-   * Save baseline dates
+   * Load a named baseline's items (no id means the Baseline Start/Target fields are used)
    */
-  async saveBaseline(owner, projectNumber) {
-    await this.loadProjectItems(owner, projectNumber);
-    const project = getProject(this.installationId, owner, projectNumber);
-
-    let saved = 0;
+  loadBaseline(projectNumber, baselineId) {
+    if (!baselineId) return { baseline: null, baselineDates: null };
 
-    for (const [issueNum, item] of this.projectItems) {
-      if (!item.startDate && !item.targetDate) continue;
-
-      const needsBaselineStart = item.startDate && !item.baselineStart;
-      const needsBaselineTarget = item.targetDate && !item.baselineTarget;
-
-      if (needsBaselineStart) {
-        await this.updateItemField(project, issueNum, 'baselineStart', item.startDate);
-      }
-      if (needsBaselineTarget) {
-        await this.updateItemField(project, issueNum, 'baselineTarget', item.targetDate);
-      }
-
-      if (needsBaselineStart || needsBaselineTarget) {
-        saved++;
-      }
+    const baseline = getBaseline(baselineId);
+    if (!baseline || baseline.installation_id !== this.installationId || baseline.project_number !== projectNumber) {
+      throw new Error(`Baseline not found: ${baselineId}`);
     }
+    const entries = getBaselineItems(baseline.id).map(b => [b.item_key, b]);
+    return { baseline, baselineDates: new Map(entries) };
+  }
 
-    logAudit(this.installationId, 'save-baseline', { owner, projectNumber, saved });
-
-    return { saved };
+  /**
+   * Planned start, target and estimate for an item from a named baseline or its Baseline fields
+   */
+  getPlannedDates(key, item, baselineDates) {
+    if (baselineDates) {
+      const entry = baselineDates.get(key);
+      return { start: entry?.start_date, target: entry?.target_date, estimate: entry?.estimate };
+    }
+    return { start: item.baselineStart, target: item.baselineTarget, estimate: item.estimate };
   }
 
   /**
    * Generate variance report
    */
-  async generateVarianceReport(owner, projectNumber) {
+  async generateVarianceReport(owner, projectNumber, options = {}) {
     await this.loadProjectItems(owner, projectNumber);
 
+    // Compare against a named baseline instead of the Baseline Start/Target fields
+    const { baseline, baselineDates } = this.loadBaseline(projectNumber, options.baselineId);
+
     const report = {
+      baseline: baseline
+        ? { id: baseline.id, name: baseline.name, createdAt: baseline.created_at }
+        : null,
       items: [],
       summary: {
         ahead: 0,
@@ -749,14 +2400,16 @@ export class ProjectFlowEngine {
       }
     };
 
-    for (const [issueNum, item] of this.projectItems) {
-      if (!item.baselineTarget) {
+    for (const [key, item] of this.projectItems) {
+      const planned = this.getPlannedDates(key, item, baselineDates);
+
+      if (!planned.target) {
         report.summary.noBaseline++;
         continue;
       }
 
-      const baselineTarget = this.dateUtils.parseDate(item.baselineTarget);
-      const currentTarget = this.dateUtils.parseDate(item.targetDate || item.baselineTarget);
+      const baselineTarget = this.dateUtils.parseDate(planned.target);
+      const currentTarget = this.dateUtils.parseDate(item.targetDate || planned.target);
 
       let variance = 0;
       if (currentTarget > baselineTarget) {
@@ -770,10 +2423,12 @@ export class ProjectFlowEngine {
                      variance < 0 ? 'ahead' : 'onTrack';
 
       report.items.push({
-        issueNumber: issueNum,
+        key,
+        repository: item.repository,
+        issueNumber: item.issueNumber,
         title: item.title,
-        baselineStart: item.baselineStart,
-        baselineTarget: item.baselineTarget,
+        baselineStart: planned.start,
+        baselineTarget: planned.target,
         currentStart: item.startDate,
         currentTarget: item.targetDate,
         variance,
@@ -793,35 +2448,21 @@ export class ProjectFlowEngine {
   }
 
   /**
-   * Handle issue close event
+   * Set a closed issue's Actual End Date to today if not already set
+   * Returns false if the issue isn't in the project.
    */
-  async onIssueClosed(owner, repo, issueNumber) {
-    // Find the project this issue belongs to
-    const projects = getProjectsByInstallation(this.installationId);
-
-    for (const project of projects) {
-      if (project.owner !== owner) continue;
-
-      try {
-        await this.loadProjectItems(owner, project.project_number);
-
-        const item = this.projectItems.get(issueNumber);
-        if (!item) continue;
-
-        // Set Actual End Date if not already set
-        if (!item.actualEndDate) {
-          const today = new Date().toISOString().split('T')[0];
-          await this.updateItemField(project, issueNumber, 'actualEndDate', today);
-          this.logger.info({ issueNumber, actualEndDate: today }, 'Set Actual End Date');
-        }
+  async setActualEndDate(project, key) {
+    await this.loadProjectItems(project.owner, project.project_number);
 
-        // Recalculate dependent dates
-        await this.recalculateAll(owner, project.project_number);
+    const item = this.projectItems.get(key);
+    if (!item) return false;
 
-      } catch (error) {
-        this.logger.error({ error, owner, issueNumber }, 'Failed to process issue close');
-      }
+    if (!item.actualEndDate) {
+      const today = new Date().toISOString().split('T')[0];
+      await this.updateItemField(project, key, 'actualEndDate', today);
+      this.logger.info({ item: key, actualEndDate: today }, 'Set Actual End Date');
     }
+    return true;
   }
 
   /**
@@ -832,20 +2473,38 @@ export class ProjectFlowEngine {
     const project = getProject(this.installationId, owner, projectNumber);
 
     const today = new Date().toISOString().split('T')[0];
-    let adjusted = 0;
+    const pastDue = [];
 
-    for (const [issueNum, item] of this.projectItems) {
+    for (const [key, item] of this.projectItems) {
       if (item.state === 'CLOSED' || item.status === 'Done') continue;
 
       if (item.targetDate && item.targetDate < today) {
-        await this.updateItemField(project, issueNum, 'targetDate', today);
-        adjusted++;
+        pastDue.push({
+          key,
+          issueNumber: item.issueNumber,
+          previousStart: item.startDate,
+          previousTarget: item.targetDate,
+          startDate: item.startDate,
+          targetDate: today
+        });
       }
     }
 
+    const { updated: written } = await this.updateItemFields(project, pastDue.map(change => ({
+      key: change.key,
+      fieldName: 'targetDate',
+      value: today
+    })));
+    const changes = pastDue.filter(change => written.includes(change.key));
+    const adjusted = changes.length;
+
+    if (changes.length > 0) {
+      recordScheduleChanges(this.installationId, projectNumber, changes, 'past-due', 'Target moved to today');
+    }
+
     // Recalculate to cascade changes
     if (adjusted > 0) {
-      await this.recalculateAll(owner, projectNumber);
+      await this.recalculateAll(owner, projectNumber, { trigger: 'past-due' });
     }
 
     logAudit(this.installationId, 'adjust-past-due', { owner, projectNumber, adjusted });
@@ -859,12 +2518,18 @@ export class ProjectFlowEngine {
   async getRiskAssessment(owner, projectNumber) {
     await this.loadProjectItems(owner, projectNumber);
 
-    // Enhance items with blockedBy info for risk calculation
-    for (const [issueNum, item] of this.projectItems) {
-      item.blockedBy = this.issueDependencies.get(issueNum) || [];
+    this.calculateAllDates();
+
+    // Enhance items with blockedBy, cycle and constraint info for risk calculation
+    for (const [key, item] of this.projectItems) {
+      item.blockedBy = this.issueDependencies.get(key) || [];
+      const cycleIndex = this.cycleMembership.get(key);
+      item.dependencyCycle = cycleIndex !== undefined ? this.dependencyCycles[cycleIndex].path : null;
+      item.constraintViolation = this.calculatedDates.get(key)?.constraintViolation || null;
+      item.unresolvedBlockers = this.getUnresolvedBlockers(key);
     }
 
-    const riskReport = calculateProjectRisks(this.projectItems);
+    const riskReport = calculateProjectRisks(this.projectItems, this.externalBlockers, { fieldNames: this.fieldNames });
 
     this.logger.info({
       owner,
@@ -875,6 +2540,51 @@ export class ProjectFlowEngine {
     return riskReport;
   }
 
+  /**
+   * Monte Carlo forecast of finish dates (see forecast.js)
+   */
+  async getScheduleForecast(owner, projectNumber, options = {}) {
+    await this.loadProjectItems(owner, projectNumber);
+    this.calculateAllDates();
+
+    const forecast = simulateSchedule(this, options);
+
+    this.logger.info({
+      owner,
+      projectNumber,
+      iterations: forecast.iterations,
+      project: forecast.project.percentiles
+    }, 'Schedule forecast completed');
+
+    return forecast;
+  }
+
+  /**
+   * Earned value metrics as of a date (see evm.js)
+   */
+  async getEarnedValue(owner, projectNumber, options = {}) {
+    await this.loadProjectItems(owner, projectNumber);
+    const { baseline, baselineDates } = this.loadBaseline(projectNumber, options.baselineId);
+
+    return {
+      baseline: baseline ? { id: baseline.id, name: baseline.name, createdAt: baseline.created_at } : null,
+      ...calculateEarnedValue(this, { asOf: options.asOf, baselineDates })
+    };
+  }
+
+  /**
+   * Earned value time series (see evm.js)
+   */
+  async getEarnedValueSeries(owner, projectNumber, options = {}) {
+    await this.loadProjectItems(owner, projectNumber);
+    const { baseline, baselineDates } = this.loadBaseline(projectNumber, options.baselineId);
+
+    return {
+      baseline: baseline ? { id: baseline.id, name: baseline.name, createdAt: baseline.created_at } : null,
+      ...calculateEarnedValueSeries(this, { ...options, baselineDates })
+    };
+  }
+
   /**
    * Get dependency graph data for visualization
    */
@@ -886,12 +2596,13 @@ export class ProjectFlowEngine {
     const edges = [];
 
     // Build nodes from project items
-    for (const [issueNum, item] of this.projectItems) {
-      const calcDates = this.calculatedDates.get(issueNum.toString()) || {};
+    for (const [key, item] of this.projectItems) {
+      const calcDates = this.calculatedDates.get(key) || {};
 
       nodes.push({
-        id: issueNum.toString(),
-        issueNumber: issueNum,
+        id: key,
+        repository: item.repository,
+        issueNumber: item.issueNumber,
         title: item.title,
         state: item.state,
         status: item.status,
@@ -900,33 +2611,70 @@ export class ProjectFlowEngine {
         estimate: item.estimate,
         isCompleted: item.state === 'CLOSED' || item.status === 'Done',
         isSummary: calcDates.isSummary || false,
+        inCycle: calcDates.inCycle || false,
         hasChildren: item.hasChildren,
         parentNumber: item.parentNumber,
-        duration: calcDates.duration || this.getDuration(issueNum),
-        buffer: calcDates.buffer || this.getBuffer(issueNum)
+        parentKey: item.parentKey,
+        duration: calcDates.duration || this.getDuration(key),
+        buffer: calcDates.buffer || this.getBuffer(key)
+      });
+    }
+
+    // Blockers from other projects or repositories (external: true; resolved
+    // is false when their dates are unknown and dependents ignore them)
+    for (const blocker of this.externalBlockers.values()) {
+      const [repository, number] = blocker.key.split('#');
+      nodes.push({
+        id: blocker.key,
+        repository: blocker.repository || repository,
+        issueNumber: blocker.issueNumber ?? (parseInt(number) || null),
+        title: blocker.title || blocker.key,
+        url: blocker.url || null,
+        state: blocker.state || null,
+        status: null,
+        startDate: blocker.dates?.startDate || null,
+        targetDate: blocker.dates?.targetDate || null,
+        estimate: null,
+        isCompleted: blocker.dates?.isCompleted || false,
+        isSummary: false,
+        inCycle: false,
+        hasChildren: false,
+        parentNumber: null,
+        parentKey: null,
+        duration: 0,
+        buffer: 0,
+        external: true,
+        resolved: blocker.resolved,
+        unresolvedReason: blocker.reason,
+        source: blocker.source,
+        sourceProjectNumber: blocker.projectNumber ?? null
       });
     }
 
     // Build edges from dependencies (blockedBy relationships)
-    for (const [issueNum, blockedByList] of this.issueDependencies) {
-      for (const blockerNum of blockedByList) {
+    for (const [key, blockerKeys] of this.issueDependencies) {
+      for (const blockerKey of blockerKeys) {
         // Edge goes from blocker to blocked (blocker must complete first)
+        const { type, lag } = this.getDependencyLink(key, blockerKey);
         edges.push({
-          id: `${blockerNum}-${issueNum}`,
-          source: blockerNum.toString(),
-          target: issueNum.toString(),
-          type: 'dependency'
+          id: `${blockerKey}-${key}`,
+          source: blockerKey,
+          target: key,
+          type: 'dependency',
+          dependencyType: type,
+          lag,
+          inCycle: this.isCyclicDependency(key, blockerKey)
         });
       }
     }
 
     // Build edges from parent-child relationships
-    for (const [parentNum, childNums] of this.parentChildren) {
-      for (const childNum of childNums) {
+    for (const [parentKey, childKeys] of this.parentChildren) {
+      for (const childKey of childKeys) {
         edges.push({
-          id: `parent-${parentNum}-${childNum}`,
-          source: parentNum.toString(),
-          target: childNum.toString(),
+          id: `parent-${parentKey}-${childKey}`,
+          source: parentKey,
+          target: childKey,
           type: 'parent-child'
         });
       }
@@ -939,11 +2687,15 @@ export class ProjectFlowEngine {
       nodes,
       edges,
       criticalPath,
+      cycles: this.dependencyCycles,
       stats: {
         totalNodes: nodes.length,
+        externalNodes: this.externalBlockers.size,
+        unresolvedBlockers: this.listUnresolvedBlockers().length,
         totalEdges: edges.length,
         dependencyEdges: this.issueDependencies.size,
-        parentChildEdges: this.parentChildren.size
+        parentChildEdges: this.parentChildren.size,
+        cycles: this.dependencyCycles.length
       }
     };
   }
@@ -955,60 +2707,20 @@ export class ProjectFlowEngine {
     await this.loadProjectItems(owner, projectNumber);
     this.calculateAllDates();
 
-    // Query for milestone data
-    const ownerType = this.getOwnerType();
-    const query = `
-      query($owner: String!, $projectNumber: Int!) {
-        ${ownerType}(login: $owner) {
-          projectV2(number: $projectNumber) {
-            items(first: 100) {
-              nodes {
-                content {
-                  ... on Issue {
-                    number
-                    state
-                    milestone {
-                      number
-                      title
-                      description
-                      dueOn
-                      state
-                      url
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    const result = await this.octokit.graphql(query, {
-      owner,
-      projectNumber
-    });
-
-    // Build milestone map
+    // Build milestone map from the loaded items
     const milestoneData = new Map();
-    const projectData = this.extractProjectData(result);
-    const items = projectData?.items?.nodes || [];
 
-    for (const item of items) {
-      if (!item.content?.number) continue;
-      const issueNumber = item.content.number;
-      const milestone = item.content.milestone;
-
-      const projectItem = this.projectItems.get(issueNumber);
-      if (!projectItem) continue;
+    for (const [key, projectItem] of this.projectItems) {
+      const milestone = projectItem.milestone;
 
-      const calcDates = this.calculatedDates.get(issueNumber.toString()) || {};
+      const calcDates = this.calculatedDates.get(key) || {};
       const isCompleted = projectItem.state === 'CLOSED' || projectItem.status === 'Done';
 
       if (milestone) {
-        const milestoneKey = `${milestone.number}`;
-        if (!milestoneData.has(milestoneKey)) {
-          milestoneData.set(milestoneKey, {
+        if (!milestoneData.has(milestone.key)) {
+          milestoneData.set(milestone.key, {
+            key: milestone.key,
+            repository: milestone.repository,
             number: milestone.number,
             title: milestone.title,
             description: milestone.description,
@@ -1031,11 +2743,13 @@ export class ProjectFlowEngine {
           });
         }
 
-        const data = milestoneData.get(milestoneKey);
-        const duration = calcDates.duration || this.getDuration(issueNumber);
+        const data = milestoneData.get(milestone.key);
+        const duration = calcDates.duration || this.getDuration(key);
 
         data.items.push({
-          issueNumber,
+          key,
+          repository: projectItem.repository,
+          issueNumber: projectItem.issueNumber,
           title: projectItem.title,
           status: projectItem.status,
           state: projectItem.state,
@@ -1114,8 +2828,8 @@ export class ProjectFlowEngine {
 
     // Count items without milestone
     let unmilestoned = 0;
-    for (const item of items) {
-      if (item.content?.number && !item.content.milestone) {
+    for (const item of this.projectItems.values()) {
+      if (!item.milestone) {
         unmilestoned++;
       }
     }
@@ -1133,59 +2847,77 @@ export class ProjectFlowEngine {
   }
 
   /**
-   * Get resource allocation data showing workload per assignee
+   * Build calendar events from the calculated schedule
+   * One all-day event per open issue (Start -> Target) and one per milestone due date.
+   * With an assignee, only their issues and the milestones containing them are returned.
    */
-  async getResourceAllocation(owner, projectNumber) {
+  async getScheduleEvents(owner, projectNumber, options = {}) {
+    const { assignee = null } = options;
+
     await this.loadProjectItems(owner, projectNumber);
     this.calculateAllDates();
 
-    // Query for assignee data (separate query since we need assignees)
-    const ownerType = this.getOwnerType();
-    const query = `
-      query($owner: String!, $projectNumber: Int!) {
-        ${ownerType}(login: $owner) {
-          projectV2(number: $projectNumber) {
-            items(first: 100) {
-              nodes {
-                content {
-                  ... on Issue {
-                    number
-                    assignees(first: 10) {
-                      nodes {
-                        login
-                        name
-                        avatarUrl
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+    const events = [];
+    const milestones = new Map();
+
+    for (const [key, item] of this.projectItems) {
+      if (item.state === 'CLOSED' || item.status === 'Done') continue;
+      if (assignee && !item.assignees.includes(assignee)) continue;
+
+      if (item.milestone?.dueOn) {
+        milestones.set(item.milestone.key, item.milestone);
       }
-    `;
 
-    const result = await this.octokit.graphql(query, {
-      owner,
-      projectNumber
-    });
+      const dates = this.calculatedDates.get(key);
+      if (!dates?.startDate || !dates?.targetDate) continue;
+
+      const details = [];
+      if (item.assignees.length > 0) details.push(`Assignees: ${item.assignees.join(', ')}`);
+      if (item.status) details.push(`Status: ${item.status}`);
+      if (item.milestone) details.push(`Milestone: ${item.milestone.title}`);
+      if (dates.adjustedForTimeOff) details.push('Adjusted for time off');
+
+      events.push({
+        uid: `issue-${key}`,
+        startDate: dates.startDate,
+        endDate: dates.targetDate,
+        summary: `${key} ${item.title}`,
+        description: details.join('\n'),
+        url: item.url,
+        categories: dates.isSummary ? ['Epic'] : ['Issue']
+      });
+    }
 
-    // Build assignee map
-    const assigneeData = new Map();
-    const projectData = this.extractProjectData(result);
-    const items = projectData?.items?.nodes || [];
+    for (const milestone of milestones.values()) {
+      const dueDate = milestone.dueOn.split('T')[0];
+      events.push({
+        uid: `milestone-${milestone.key}`,
+        startDate: dueDate,
+        endDate: dueDate,
+        summary: `Milestone due: ${milestone.title}`,
+        description: '',
+        categories: ['Milestone']
+      });
+    }
 
-    for (const item of items) {
-      if (!item.content?.number) continue;
-      const issueNumber = item.content.number;
-      const assignees = item.content.assignees?.nodes || [];
+    return events.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /**
+   * Get resource allocation data showing workload per assignee
+   */
+  async getResourceAllocation(owner, projectNumber) {
+    await this.loadProjectItems(owner, projectNumber);
+    this.calculateAllDates();
+
+    // Build assignee map from the loaded items
+    const assigneeData = new Map();
 
-      const projectItem = this.projectItems.get(issueNumber);
-      if (!projectItem) continue;
+    for (const [key, projectItem] of this.projectItems) {
+      const assignees = projectItem.assignees.map(login => this.assigneeProfiles.get(login) || { login });
 
-      const calcDates = this.calculatedDates.get(issueNumber.toString()) || {};
-      const duration = calcDates.duration || this.getDuration(issueNumber);
+      const calcDates = this.calculatedDates.get(key) || {};
+      const duration = calcDates.duration || this.getDuration(key);
       const isCompleted = projectItem.state === 'CLOSED' || projectItem.status === 'Done';
 
       for (const assignee of assignees) {
@@ -1199,13 +2931,16 @@ export class ProjectFlowEngine {
             completedItems: 0,
             totalDays: 0,
             remainingDays: 0,
+            upcomingAbsences: this.getUpcomingAbsences(assignee.login),
             workload: 'normal' // low, normal, high, overloaded
           });
         }
 
         const data = assigneeData.get(assignee.login);
         data.items.push({
-          issueNumber,
+          key,
+          repository: projectItem.repository,
+          issueNumber: projectItem.issueNumber,
           title: projectItem.title,
           status: projectItem.status,
           state: projectItem.state,
@@ -1228,12 +2963,13 @@ export class ProjectFlowEngine {
     }
 
     // Calculate workload levels (based on remaining days)
-    // Default capacity assumption: 5 items or 50 days is "normal" capacity
-    const normalCapacityDays = 50;
-    const normalCapacityItems = 5;
-
+    // Default capacity assumption: 5 items or 50 days is "normal" for a full-time assignee,
+    // scaled down by their configured capacity
     for (const [login, data] of assigneeData) {
       const openItems = data.totalItems - data.completedItems;
+      data.capacity = this.getAssigneeCapacity(login);
+      const normalCapacityDays = 50 * data.capacity.factor;
+      const normalCapacityItems = 5 * data.capacity.factor;
 
       if (data.remainingDays > normalCapacityDays * 1.5 || openItems > normalCapacityItems * 1.5) {
         data.workload = 'overloaded';
@@ -1253,6 +2989,7 @@ export class ProjectFlowEngine {
       totalAssignees: resources.length,
       totalItems: Array.from(this.projectItems.values()).length,
       unassignedItems: 0,
+      assigneesWithUpcomingAbsences: resources.filter(r => r.upcomingAbsences.length > 0).length,
       byWorkload: {
         overloaded: resources.filter(r => r.workload === 'overloaded').length,
         high: resources.filter(r => r.workload === 'high').length,
@@ -1262,17 +2999,16 @@ export class ProjectFlowEngine {
     };
 
     // Count unassigned items
-    for (const item of items) {
-      if (!item.content?.number) continue;
-      const assignees = item.content.assignees?.nodes || [];
-      if (assignees.length === 0) {
+    for (const item of this.projectItems.values()) {
+      if (item.assignees.length === 0) {
         summary.unassignedItems++;
       }
     }
 
     return {
       resources,
-      summary
+      summary,
+      leveling: this.levelingReport
     };
   }
 
@@ -1284,12 +3020,15 @@ export class ProjectFlowEngine {
     const nodes = new Map();
 
     // Initialize nodes with early start/finish times
-    for (const [issueNum, item] of this.projectItems) {
-      const calcDates = this.calculatedDates.get(issueNum.toString()) || {};
-      const duration = calcDates.duration || this.getDuration(issueNum);
-
-      nodes.set(issueNum.toString(), {
-        issueNumber: issueNum,
+    for (const [key, item] of this.projectItems) {
+      const calcDates = this.calculatedDates.get(key) || {};
+      const duration = calcDates.inProgress
+        ? calcDates.remainingDuration
+        : calcDates.duration || this.getDuration(key);
+
+      nodes.set(key, {
+        repository: item.repository,
+        issueNumber: item.issueNumber,
         title: item.title,
         duration,
         earlyStart: 0,
@@ -1297,17 +3036,25 @@ export class ProjectFlowEngine {
         lateStart: Infinity,
         lateFinish: Infinity,
         slack: Infinity,
-        predecessors: this.getDependencies(issueNum).map(d => d.toString()),
+        predecessors: this.getDependencies(key)
+          .filter(d => !this.isCyclicDependency(key, d))
+          .map(d => ({
+            id: d,
+            ...this.getDependencyLink(key, d)
+          })),
         successors: []
       });
     }
 
     // Build successor lists
-    for (const [issueNum, deps] of this.issueDependencies) {
-      for (const depNum of deps) {
-        const depNode = nodes.get(depNum.toString());
-        if (depNode) {
-          depNode.successors.push(issueNum.toString());
+    for (const [key, deps] of this.issueDependencies) {
+      for (const depKey of deps) {
+        const depNode = nodes.get(depKey);
+        if (depNode && !this.isCyclicDependency(key, depKey)) {
+          depNode.successors.push({
+            id: key,
+            ...this.getDependencyLink(key, depKey)
+          });
         }
       }
     }
@@ -1319,16 +3066,23 @@ export class ProjectFlowEngine {
       const node = nodes.get(nodeId);
       if (!node) continue;
 
-      let maxPredFinish = 0;
-      for (const predId of node.predecessors) {
+      let earlyStart = 0;
+      for (const { id: predId, type, lag } of node.predecessors) {
         const pred = nodes.get(predId);
-        if (pred && pred.earlyFinish > maxPredFinish) {
-          maxPredFinish = pred.earlyFinish;
+        if (!pred) continue;
+
+        let constraint;
+        if (type === 'SS') constraint = pred.earlyStart + lag;
+        else if (type === 'FF') constraint = pred.earlyFinish + lag - node.duration;
+        else constraint = pred.earlyFinish + lag;
+
+        if (constraint > earlyStart) {
+          earlyStart = constraint;
         }
       }
 
-      node.earlyStart = maxPredFinish;
-      node.earlyFinish = maxPredFinish + node.duration;
+      node.earlyStart = earlyStart;
+      node.earlyFinish = earlyStart + node.duration;
     }
 
     // Find project end time
@@ -1347,14 +3101,21 @@ export class ProjectFlowEngine {
       if (node.successors.length === 0) {
         node.lateFinish = projectEnd;
       } else {
-        let minSuccStart = Infinity;
-        for (const succId of node.successors) {
+        let lateFinish = Infinity;
+        for (const { id: succId, type, lag } of node.successors) {
           const succ = nodes.get(succId);
-          if (succ && succ.lateStart < minSuccStart) {
-            minSuccStart = succ.lateStart;
+          if (!succ) continue;
+
+          let constraint;
+          if (type === 'SS') constraint = succ.lateStart - lag + node.duration;
+          else if (type === 'FF') constraint = succ.lateFinish - lag;
+          else constraint = succ.lateStart - lag;
+
+          if (constraint < lateFinish) {
+            lateFinish = constraint;
           }
         }
-        node.lateFinish = minSuccStart;
+        node.lateFinish = Math.min(lateFinish, projectEnd);
       }
 
       node.lateStart = node.lateFinish - node.duration;
@@ -1367,6 +3128,7 @@ export class ProjectFlowEngine {
       if (Math.abs(node.slack) < 0.001) { // Near-zero slack
         criticalNodes.push({
           id: nodeId,
+          repository: node.repository,
           issueNumber: node.issueNumber,
           title: node.title,
           duration: node.duration,
@@ -1382,10 +3144,11 @@ export class ProjectFlowEngine {
     return {
       nodes: criticalNodes,
       totalDuration: projectEnd,
-      nodesWithSlack: Array.from(nodes.values())
-        .filter(n => n.slack > 0)
-        .map(n => ({
-          id: n.issueNumber.toString(),
+      nodesWithSlack: Array.from(nodes)
+        .filter(([, n]) => n.slack > 0)
+        .map(([id, n]) => ({
+          id,
+          repository: n.repository,
           issueNumber: n.issueNumber,
           title: n.title,
           slack: n.slack
@@ -0,0 +1,83 @@
+/**
+ * Estimate Models
+ *
+ * How a project's Estimate field converts to working days:
+ * - tshirt: single-select sizes looked up in the installation's estimateDays
+ * - points: story points divided by velocity (points per working day)
+ * - hours: ideal hours divided by hours per working day
+ * - days: the number is the duration in working days
+ *
+ * The model is chosen per project (settings.estimation in projects.settings_json).
+ * Numeric models read Number fields, or Text fields holding a number.
+ */
+
+export const ESTIMATE_MODELS = ['tshirt', 'points', 'hours', 'days'];
+
+export const DEFAULT_ESTIMATION = {
+  model: 'tshirt',
+  pointsPerDay: 1,
+  hoursPerDay: 6
+};
+
+// Duration used when an item's estimate can't be converted
+export const DEFAULT_DURATION_DAYS = 10;
+
+const MAX_RATE = 1000;
+
+/**
+ * A project's estimate model with defaults filled in
+ */
+export function getEstimation(projectSettings) {
+  return { ...DEFAULT_ESTIMATION, ...projectSettings?.estimation };
+}
+
+/**
+ * Validate an estimation settings update
+ * Returns { estimation } or { error }
+ */
+export function validateEstimation(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'estimation must be an object' };
+  }
+
+  const { model, pointsPerDay, hoursPerDay } = { ...DEFAULT_ESTIMATION, ...input };
+  if (!ESTIMATE_MODELS.includes(model)) {
+    return { error: `model must be one of: ${ESTIMATE_MODELS.join(', ')}` };
+  }
+  for (const [name, value] of [['pointsPerDay', pointsPerDay], ['hoursPerDay', hoursPerDay]]) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > MAX_RATE) {
+      return { error: `${name} must be a number greater than 0 and at most ${MAX_RATE}` };
+    }
+  }
+
+  return { estimation: { model, pointsPerDay, hoursPerDay } };
+}
+
+/**
+ * Read a numeric estimate from a Number field value or a numeric Text value
+ */
+function parseNumericEstimate(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/^\s*\d+(\.\d+)?\s*$/.test(value)) return null;
+  return parseFloat(value);
+}
+
+/**
+ * Working days for an estimate value, or null if it doesn't fit the model
+ * (rounded up to whole days, at least one)
+ */
+export function estimateToDays(estimate, estimation, estimateDays) {
+  if (estimate === null || estimate === undefined || estimate === '') return null;
+
+  if (estimation.model === 'tshirt') {
+    return estimateDays[estimate] || null;
+  }
+
+  const value = parseNumericEstimate(estimate);
+  if (value === null || value < 0) return null;
+
+  const days = estimation.model === 'points' ? value / estimation.pointsPerDay
+    : estimation.model === 'hours' ? value / estimation.hoursPerDay
+      : value;
+  return Math.max(Math.ceil(days), 1);
+}
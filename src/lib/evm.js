@@ -0,0 +1,241 @@
+/**
+ * Earned Value Module
+ *
+ * Earned value metrics measured in estimated working days:
+ * - BAC: budget at completion (the item's baseline estimate in days)
+ * - PV: budget planned to be done by a date, spread evenly over the baseline dates
+ * - EV: budget actually done by a date, from % Complete or closure
+ * - AC: working days actually spent between start and finish (or the date)
+ * - SV = EV - PV, SPI = EV / PV, CV = EV - AC, CPI = EV / AC
+ *
+ * % Complete has no history, so EV before today is interpolated linearly
+ * from the item's start date to its current progress.
+ */
+
+import { parsePercentComplete } from './risk.js';
+
+export const SERIES_INTERVALS = { day: 1, week: 7 };
+
+// Upper bound on points per series request
+export const MAX_SERIES_POINTS = 400;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function round2(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Working days from start to end, counting both ends
+ */
+function workingDaysInclusive(dateUtils, start, end) {
+  if (end < start) return 0;
+  const startDate = dateUtils.parseDate(start);
+  return dateUtils.workingDaysBetween(startDate, dateUtils.parseDate(end)) +
+    (dateUtils.isWorkingDay(startDate) ? 1 : 0);
+}
+
+/**
+ * Derive variances and indices from summed PV/EV/AC
+ */
+export function summarizeEarnedValue({ bac, pv, ev, ac }) {
+  return {
+    bac: round1(bac),
+    pv: round1(pv),
+    ev: round1(ev),
+    ac: round1(ac),
+    sv: round1(ev - pv),
+    spi: pv > 0 ? round2(ev / pv) : null,
+    cv: round1(ev - ac),
+    cpi: ac > 0 ? round2(ev / ac) : null,
+    percentComplete: bac > 0 ? Math.round((ev / bac) * 100) : 0
+  };
+}
+
+/**
+ * An item's budget: its baseline estimate in days (current estimate if the baseline has none)
+ */
+function budgetAtCompletion(engine, item, planned) {
+  return engine.getEstimateDays(planned.estimate) ?? engine.getDuration(item.key);
+}
+
+/**
+ * PV, EV and AC for one item as of a date
+ * planned: { start, target, estimate } from the baseline
+ */
+function itemEarnedValue(engine, item, planned, asOf, today) {
+  const { dateUtils } = engine;
+  const bac = budgetAtCompletion(engine, item, planned);
+
+  // Planned value: linear over the baseline window
+  const plannedStart = planned.start && planned.start <= planned.target ? planned.start : planned.target;
+  let pv = 0;
+  if (asOf >= planned.target) {
+    pv = bac;
+  } else if (asOf >= plannedStart) {
+    const total = workingDaysInclusive(dateUtils, plannedStart, planned.target);
+    pv = total > 0 ? bac * workingDaysInclusive(dateUtils, plannedStart, asOf) / total : 0;
+  }
+
+  // Earned value: progress reached by the reference date (finish, or today while open)
+  const isCompleted = item.state === 'CLOSED' || item.status === 'Done';
+  const finish = isCompleted ? (item.actualEndDate || today) : null;
+  const reference = finish || today;
+  const progress = isCompleted ? 1 : Math.min(parsePercentComplete(item.percentComplete), 100) / 100;
+  const started = item.startDate && item.startDate <= asOf && (isCompleted || progress > 0 || engine.isInProgress(item));
+
+  let ev = 0;
+  if (asOf >= reference) {
+    ev = bac * progress;
+  } else if (started) {
+    const span = workingDaysInclusive(dateUtils, item.startDate, reference);
+    ev = span > 0 ? bac * progress * workingDaysInclusive(dateUtils, item.startDate, asOf) / span : 0;
+  }
+
+  // Actual cost: days spent from the start date until finish, today, or the date
+  let ac = 0;
+  if (started) {
+    const end = [asOf, reference].sort()[0];
+    ac = workingDaysInclusive(dateUtils, item.startDate, end);
+  }
+
+  return { bac, pv, ev, ac };
+}
+
+function addTotals(totals, values) {
+  totals.bac += values.bac;
+  totals.pv += values.pv;
+  totals.ev += values.ev;
+  totals.ac += values.ac;
+}
+
+function emptyTotals() {
+  return { bac: 0, pv: 0, ev: 0, ac: 0 };
+}
+
+/**
+ * Collect the baselined leaf items of a loaded engine
+ * (summary issues are skipped so their children aren't counted twice)
+ */
+function collectPlannedItems(engine, baselineDates) {
+  const items = [];
+  let noBaseline = 0;
+
+  for (const [key, item] of engine.projectItems) {
+    if (item.hasChildren) continue;
+
+    const planned = engine.getPlannedDates(key, item, baselineDates);
+    if (!planned.target) {
+      noBaseline++;
+      continue;
+    }
+    items.push({ key, item, planned });
+  }
+
+  return { items, noBaseline };
+}
+
+/**
+ * Earned value per item, per milestone and for the project as of a date
+ */
+export function calculateEarnedValue(engine, options = {}) {
+  const today = options.today || new Date().toISOString().split('T')[0];
+  const asOf = options.asOf || today;
+  const { items, noBaseline } = collectPlannedItems(engine, options.baselineDates);
+
+  const project = emptyTotals();
+  const milestones = new Map();
+  const results = [];
+
+  for (const { key, item, planned } of items) {
+    const values = itemEarnedValue(engine, item, planned, asOf, today);
+    addTotals(project, values);
+
+    if (item.milestone?.number) {
+      if (!milestones.has(item.milestone.key)) {
+        milestones.set(item.milestone.key, {
+          number: item.milestone.number,
+          title: item.milestone.title,
+          totals: emptyTotals()
+        });
+      }
+      addTotals(milestones.get(item.milestone.key).totals, values);
+    }
+
+    results.push({
+      key,
+      repository: item.repository,
+      issueNumber: item.issueNumber,
+      title: item.title,
+      baselineStart: planned.start,
+      baselineTarget: planned.target,
+      ...summarizeEarnedValue(values)
+    });
+  }
+
+  return {
+    asOf,
+    project: summarizeEarnedValue(project),
+    milestones: Array.from(milestones, ([key, milestone]) => ({
+      key,
+      number: milestone.number,
+      title: milestone.title,
+      ...summarizeEarnedValue(milestone.totals)
+    })),
+    items: results,
+    noBaseline
+  };
+}
+
+/**
+ * Project PV/EV/AC over time
+ * Defaults to the baseline window; EV and AC stop at today.
+ */
+export function calculateEarnedValueSeries(engine, options = {}) {
+  const { dateUtils } = engine;
+  const today = options.today || new Date().toISOString().split('T')[0];
+  const interval = SERIES_INTERVALS[options.interval] ? options.interval : 'week';
+  const { items } = collectPlannedItems(engine, options.baselineDates);
+
+  const plannedStarts = items.map(({ planned }) => planned.start || planned.target);
+  const plannedTargets = items.map(({ planned }) => planned.target);
+  const from = options.from || plannedStarts.sort()[0] || today;
+  const to = options.to || [plannedTargets.sort().pop() || today, today].sort().pop();
+
+  // Step through the window, always ending on the last date
+  const dates = [];
+  const current = dateUtils.parseDate(from);
+  const end = dateUtils.parseDate(to);
+  while (current <= end && dates.length < MAX_SERIES_POINTS) {
+    dates.push(dateUtils.formatDate(current));
+    current.setUTCDate(current.getUTCDate() + SERIES_INTERVALS[interval]);
+  }
+  if (dates.length > 0 && dates[dates.length - 1] < to && dates.length < MAX_SERIES_POINTS) {
+    dates.push(to);
+  }
+
+  const points = [];
+  for (const date of dates) {
+    const totals = emptyTotals();
+    for (const { item, planned } of items) {
+      addTotals(totals, itemEarnedValue(engine, item, planned, date, today));
+    }
+
+    const metrics = summarizeEarnedValue(totals);
+    const isFuture = date > today;
+    points.push({
+      date,
+      pv: metrics.pv,
+      ev: isFuture ? null : metrics.ev,
+      ac: isFuture ? null : metrics.ac,
+      spi: isFuture ? null : metrics.spi,
+      cpi: isFuture ? null : metrics.cpi
+    });
+  }
+
+  const bac = items.reduce((sum, { item, planned }) => sum + budgetAtCompletion(engine, item, planned), 0);
+
+  return { interval, from, to, bac: round1(bac), points };
+}
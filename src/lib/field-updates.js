@@ -0,0 +1,159 @@
+/**
+ * Batched Project Field Updates
+ *
+ * Writes many date field values with aliased updateProjectV2ItemFieldValue
+ * mutations (one request per batch) and throttles against GitHub's limits:
+ * - Waits for the reset when x-ratelimit-remaining runs low
+ * - Honors retry-after on secondary rate limits, with exponential backoff otherwise
+ * - Reports failures per update instead of failing the whole batch
+ */
+
+// Mutations per GraphQL request
+export const BATCH_SIZE = 25;
+
+// Pause between mutation requests (GitHub asks for at least a second)
+export const MIN_REQUEST_INTERVAL_MS = 1000;
+
+// Retries per batch on rate limits and server errors
+export const MAX_RETRIES = 4;
+
+// Stop and wait for the reset below this many remaining points
+const RATE_LIMIT_FLOOR = 50;
+
+// Never sleep longer than this for a single wait
+const MAX_WAIT_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build one aliased mutation for a batch of updates
+ */
+function buildBatchMutation(updates) {
+  const variables = [];
+  const fields = [];
+
+  updates.forEach((_, index) => {
+    variables.push(`$item${index}: ID!`, `$field${index}: ID!`, `$date${index}: Date!`);
+    fields.push(`
+      u${index}: updateProjectV2ItemFieldValue(
+        input: {
+          projectId: $projectId
+          itemId: $item${index}
+          fieldId: $field${index}
+          value: { date: $date${index} }
+        }
+      ) {
+        projectV2Item { id }
+      }`);
+  });
+
+  return `mutation($projectId: ID!, ${variables.join(', ')}) {${fields.join('')}\n    }`;
+}
+
+/**
+ * How long to wait before the next request, from response headers
+ */
+function getThrottleDelay(headers = {}) {
+  const remaining = parseInt(headers['x-ratelimit-remaining']);
+  const reset = parseInt(headers['x-ratelimit-reset']);
+
+  if (Number.isFinite(remaining) && remaining < RATE_LIMIT_FLOOR && Number.isFinite(reset)) {
+    return Math.min(Math.max(reset * 1000 - Date.now(), 0) + 1000, MAX_WAIT_MS);
+  }
+  return MIN_REQUEST_INTERVAL_MS;
+}
+
+/**
+ * How long to back off after a failed request, or null if it shouldn't be retried
+ */
+function getRetryDelay(error, attempt) {
+  const status = error.status;
+  const headers = error.response?.headers || {};
+  const isRateLimited = status === 429 ||
+    (status === 403 && (headers['retry-after'] || headers['x-ratelimit-remaining'] === '0' ||
+      /rate limit/i.test(error.message)));
+
+  if (!isRateLimited && !(status >= 500)) return null;
+
+  const retryAfter = parseInt(headers['retry-after']);
+  if (Number.isFinite(retryAfter)) {
+    return Math.min(retryAfter * 1000, MAX_WAIT_MS);
+  }
+  if (headers['x-ratelimit-remaining'] === '0') {
+    return getThrottleDelay(headers);
+  }
+  return Math.min(1000 * 2 ** (attempt + 1), MAX_WAIT_MS);
+}
+
+/**
+ * Write date field values in batches
+ * updates: [{ key, itemId, fieldId, date }]
+ * Returns { succeeded: [key], failed: [{ key, error }] }
+ */
+export async function updateDateFields(octokit, projectId, updates, options = {}) {
+  const { logger, batchSize = BATCH_SIZE } = options;
+  const succeeded = [];
+  const failed = [];
+
+  for (let offset = 0; offset < updates.length; offset += batchSize) {
+    const batch = updates.slice(offset, offset + batchSize);
+    const variables = { projectId };
+    batch.forEach((update, index) => {
+      variables[`item${index}`] = update.itemId;
+      variables[`field${index}`] = update.fieldId;
+      variables[`date${index}`] = update.date;
+    });
+
+    let response = null;
+    let requestError = null;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      try {
+        response = await octokit.request('POST /graphql', {
+          query: buildBatchMutation(batch),
+          variables
+        });
+        requestError = null;
+        break;
+      } catch (error) {
+        requestError = error;
+        const delay = attempt < MAX_RETRIES ? getRetryDelay(error, attempt) : null;
+        if (delay === null) break;
+
+        logger?.warn({ status: error.status, delay, attempt: attempt + 1 }, 'Field update throttled, retrying');
+        await sleep(delay);
+      }
+    }
+
+    if (requestError) {
+      logger?.error({ error: requestError.message, count: batch.length }, 'Field update batch failed');
+      for (const update of batch) {
+        failed.push({ key: update.key, error: requestError.message });
+      }
+      continue;
+    }
+
+    // GraphQL errors come back per alias alongside the successful results
+    const errorsByAlias = new Map();
+    for (const error of response.data?.errors || []) {
+      const alias = error.path?.[0];
+      if (alias) errorsByAlias.set(alias, error.message);
+    }
+    const generalError = (response.data?.errors || []).find(e => !e.path?.length)?.message;
+
+    batch.forEach((update, index) => {
+      const alias = `u${index}`;
+      if (response.data?.data?.[alias]) {
+        succeeded.push(update.key);
+      } else {
+        failed.push({ key: update.key, error: errorsByAlias.get(alias) || generalError || 'Update failed' });
+      }
+    });
+
+    if (offset + batchSize < updates.length) {
+      await sleep(getThrottleDelay(response.headers));
+    }
+  }
+
+  return { succeeded, failed };
+}
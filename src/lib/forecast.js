@@ -0,0 +1,324 @@
+/**
+ * Schedule Forecasting Module
+ *
+ * Monte Carlo simulation over the dependency graph:
+ * - Each Estimate/Confidence pair becomes a triangular distribution of working days
+ * - Every iteration samples all durations and propagates them through dependencies
+ * - Finish dates are reported as percentiles per issue, per milestone and for the project
+ * - Links to open summary issues are left out, as in the deterministic schedule, and
+ *   reported as ignoredDependencies
+ */
+
+import { parsePercentComplete } from './risk.js';
+
+// Triangular distribution around the estimate, as multiples of the estimated days.
+// Lower confidence means a longer tail - the deterministic buffer is replaced by it.
+export const CONFIDENCE_SPREAD = {
+  High: { min: 0.8, max: 1.3 },
+  Medium: { min: 0.75, max: 1.6 },
+  Low: { min: 0.7, max: 2.2 }
+};
+
+export const DEFAULT_ITERATIONS = 1000;
+export const MAX_ITERATIONS = 10000;
+export const DEFAULT_PERCENTILES = [50, 80, 95];
+
+/**
+ * Small seeded PRNG (mulberry32) so forecasts can be reproduced
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sample a triangular distribution
+ */
+function sampleTriangular(random, min, mode, max) {
+  if (max <= min) return mode;
+  const u = random();
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+/**
+ * Build the per-issue simulation model from a loaded engine
+ * (call after engine.calculateAllDates() so cycles and in-progress state are known)
+ */
+function buildModel(engine, todayStr) {
+  const { dateUtils } = engine;
+  const today = dateUtils.nextWorkingDay(dateUtils.parseDate(todayStr));
+  const offsetOf = (dateStr) => {
+    const date = dateUtils.parseDate(dateStr);
+    return date <= today
+      ? -dateUtils.workingDaysBetween(date, today)
+      : dateUtils.workingDaysBetween(today, date);
+  };
+
+  const order = engine.topologicalSort(Array.from(engine.projectItems.keys()))
+    .filter(key => engine.projectItems.has(key));
+
+  const model = new Map();
+  const ignoredDependencies = [];
+
+  for (const key of order) {
+    const item = engine.projectItems.get(key);
+    const dates = engine.calculatedDates.get(key) || {};
+    const spread = CONFIDENCE_SPREAD[item.confidence] || CONFIDENCE_SPREAD.Medium;
+    const estimate = engine.getDuration(key);
+
+    // An open summary's finish is only known after roll-up, so the schedule doesn't wait for it
+    const dependencies = engine.getDependencies(key)
+      .filter(dep => engine.projectItems.has(dep) && !engine.isCyclicDependency(key, dep));
+    const isOpenSummary = (dep) => !!engine.calculatedDates.get(dep)?.isSummary;
+    for (const dep of dependencies.filter(isOpenSummary)) {
+      if (!dates.isCompleted && !dates.inProgress) ignoredDependencies.push({ key, dependsOn: dep, reason: 'Summary issue' });
+    }
+
+    const entry = {
+      key,
+      estimate,
+      spread,
+      fixed: null,
+      remainingFraction: 1,
+      earliestStart: 0,
+      predecessors: dependencies
+        .filter(dep => !isOpenSummary(dep))
+        .map(dep => ({ key: dep, ...engine.getDependencyLink(key, dep) }))
+    };
+
+    if (dates.isCompleted) {
+      // Done - dependents see its actual finish
+      const end = dates.endDateForDependents || dates.targetDate;
+      entry.fixed = { start: end ? offsetOf(dates.startDate || end) : 0, finish: end ? offsetOf(end) : 0 };
+    } else if (dates.inCycle) {
+      // No valid order - keep whatever dates it has
+      entry.fixed = {
+        start: dates.startDate ? offsetOf(dates.startDate) : 0,
+        finish: dates.targetDate ? offsetOf(dates.targetDate) : 0
+      };
+    } else if (dates.inProgress) {
+      // Started work runs from today, as in calculateIssueDates - predecessors no longer hold it back
+      entry.earliestStart = 0;
+      entry.predecessors = [];
+      entry.startedAt = offsetOf(dates.startDate);
+      entry.remainingFraction = 1 - Math.min(parsePercentComplete(item.percentComplete), 100) / 100;
+    }
+
+    // Blockers outside the project hold still at their resolved dates
+    if (!entry.fixed && !dates.inProgress) {
+      for (const dep of engine.getDependencies(key)) {
+        const external = engine.externalBlockers.get(dep)?.dates;
+        if (!external?.endDateForDependents) continue;
+
+        const { type, lag } = engine.getDependencyLink(key, dep);
+        let constraint;
+        if (type === 'SS') constraint = offsetOf(external.startDate || external.endDateForDependents) + lag;
+        else if (type === 'FF') constraint = offsetOf(external.endDateForDependents) + lag - estimate;
+        else constraint = offsetOf(external.endDateForDependents) + 1 + lag;
+
+        entry.earliestStart = Math.max(entry.earliestStart, constraint);
+      }
+    }
+
+    if (item.constraintType === 'SNET' || item.constraintType === 'MSO') {
+      if (item.constraintDate) {
+        entry.earliestStart = Math.max(entry.earliestStart, offsetOf(item.constraintDate));
+        entry.pinned = item.constraintType === 'MSO';
+      }
+    }
+
+    entry.isSummary = !!dates.isSummary;
+    model.set(key, entry);
+  }
+
+  return { model, today, ignoredDependencies };
+}
+
+/**
+ * Run the simulation
+ * Returns finish-date percentiles per issue, milestone and for the whole project
+ */
+export function simulateSchedule(engine, options = {}) {
+  const iterations = Math.min(Math.max(parseInt(options.iterations) || DEFAULT_ITERATIONS, 100), MAX_ITERATIONS);
+  const seed = Number.isFinite(options.seed) ? options.seed : Date.now();
+  const percentiles = options.percentiles?.length ? options.percentiles : DEFAULT_PERCENTILES;
+  const todayStr = options.today || new Date().toISOString().split('T')[0];
+
+  const random = createRandom(seed);
+  const { model, today, ignoredDependencies } = buildModel(engine, todayStr);
+  const { dateUtils } = engine;
+
+  const finishes = new Map(Array.from(model.keys()).map(n => [n, new Int32Array(iterations)]));
+  const milestoneFinishes = new Map();
+  for (const milestoneKey of engine.milestoneEpics.keys()) {
+    milestoneFinishes.set(milestoneKey, new Int32Array(iterations));
+  }
+  const projectFinishes = new Int32Array(iterations);
+
+  const start = new Map();
+  const finish = new Map();
+
+  // Summary issues take the span of their children (which may be summaries too)
+  const rollUp = (key, seen = new Set()) => {
+    const children = engine.parentChildren.get(key) || [];
+    let latest = finish.get(key) ?? null;
+    let earliest = start.get(key) ?? null;
+
+    if (seen.has(key)) return latest;
+    seen.add(key);
+
+    for (const child of children) {
+      if (!model.has(child)) continue;
+      const childFinish = model.get(child).isSummary ? rollUp(child, seen) : finish.get(child);
+      if (childFinish === null || childFinish === undefined) continue;
+      if (latest === null || childFinish > latest) latest = childFinish;
+      const childStart = start.get(child);
+      if (earliest === null || childStart < earliest) earliest = childStart;
+    }
+
+    finish.set(key, latest ?? 0);
+    start.set(key, earliest ?? 0);
+    return latest ?? 0;
+  };
+
+  for (let i = 0; i < iterations; i++) {
+    start.clear();
+    finish.clear();
+
+    for (const entry of model.values()) {
+      if (entry.fixed) {
+        start.set(entry.key, entry.fixed.start);
+        finish.set(entry.key, entry.fixed.finish);
+        continue;
+      }
+      if (entry.isSummary) continue;
+
+      const sampled = sampleTriangular(
+        random,
+        entry.estimate * entry.spread.min,
+        entry.estimate,
+        entry.estimate * entry.spread.max
+      );
+      const duration = Math.max(Math.round(sampled * entry.remainingFraction), 0);
+
+      let earliest = entry.earliestStart;
+      if (!entry.pinned) {
+        for (const pred of entry.predecessors) {
+          const predStart = start.get(pred.key);
+          const predFinish = finish.get(pred.key);
+          if (predFinish === undefined) continue;
+
+          let constraint;
+          if (pred.type === 'SS') constraint = predStart + pred.lag;
+          else if (pred.type === 'FF') constraint = predFinish + pred.lag - duration;
+          else constraint = predFinish + 1 + pred.lag;
+
+          if (constraint > earliest) earliest = constraint;
+        }
+      }
+
+      start.set(entry.key, entry.startedAt ?? earliest);
+      finish.set(entry.key, earliest + duration);
+    }
+
+    let projectEnd = 0;
+    for (const entry of model.values()) {
+      if (entry.isSummary) rollUp(entry.key);
+      const value = finish.get(entry.key) ?? 0;
+      finishes.get(entry.key)[i] = value;
+      if (value > projectEnd) projectEnd = value;
+    }
+    projectFinishes[i] = projectEnd;
+
+    for (const [milestoneKey, itemKeys] of engine.milestoneEpics) {
+      let latest = 0;
+      for (const key of itemKeys) {
+        const value = finish.get(key);
+        if (value !== undefined && value > latest) latest = value;
+      }
+      milestoneFinishes.get(milestoneKey)[i] = latest;
+    }
+  }
+
+  const toDate = (offset) => dateUtils.formatDate(
+    offset >= 0 ? dateUtils.addWorkingDays(today, offset) : dateUtils.subtractWorkingDays(today, -offset)
+  );
+
+  const summarize = (samples, plannedDate) => {
+    const sorted = Array.from(samples).sort((a, b) => a - b);
+    const result = { percentiles: {} };
+    for (const p of percentiles) {
+      result.percentiles[`p${p}`] = toDate(percentile(sorted, p));
+    }
+    if (plannedDate) {
+      const plannedOffset = dateUtils.parseDate(plannedDate) <= today
+        ? -dateUtils.workingDaysBetween(dateUtils.parseDate(plannedDate), today)
+        : dateUtils.workingDaysBetween(today, dateUtils.parseDate(plannedDate));
+      const onTime = sorted.filter(value => value <= plannedOffset).length;
+      result.plannedDate = plannedDate;
+      result.onTimeProbability = Math.round((onTime / sorted.length) * 100);
+    }
+    return result;
+  };
+
+  const issues = [];
+  for (const [key, samples] of finishes) {
+    const item = engine.projectItems.get(key);
+    const dates = engine.calculatedDates.get(key) || {};
+    if (dates.isCompleted) continue;
+
+    issues.push({
+      key,
+      repository: item.repository,
+      issueNumber: item.issueNumber,
+      title: item.title,
+      estimate: item.estimate,
+      confidence: item.confidence,
+      isSummary: !!dates.isSummary,
+      ...summarize(samples, dates.targetDate)
+    });
+  }
+
+  const milestones = [];
+  for (const [milestoneKey, samples] of milestoneFinishes) {
+    const itemKey = engine.milestoneEpics.get(milestoneKey)[0];
+    const milestone = engine.projectItems.get(itemKey)?.milestone || {};
+    milestones.push({
+      key: milestoneKey,
+      number: milestone.number,
+      title: milestone.title,
+      ...summarize(samples, milestone.dueOn ? milestone.dueOn.split('T')[0] : null)
+    });
+  }
+
+  const plannedEnd = Array.from(engine.calculatedDates.values())
+    .map(d => d.targetDate)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  return {
+    iterations,
+    seed,
+    generatedAt: new Date().toISOString(),
+    project: summarize(projectFinishes, plannedEnd),
+    milestones,
+    issues,
+    ignoredDependencies
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Holiday Presets
+ *
+ * Bundled national holiday rule sets, computed offline for any year range.
+ * Rules cover fixed dates, nth-weekday holidays and Easter-relative holidays.
+ * Holidays that follow lunar or regional calendars are not included.
+ */
+
+// Observance when a fixed-date holiday falls on a weekend:
+// - nearest: Saturday -> Friday, Sunday -> Monday (US federal rule)
+// - following: moved to the next free weekday (UK/CA/AU substitute days)
+// - none: not moved
+
+export const HOLIDAY_PRESETS = {
+  US: {
+    name: 'United States (federal)',
+    observance: 'nearest',
+    holidays: [
+      { name: "New Year's Day", rule: { type: 'fixed', month: 1, day: 1 } },
+      { name: 'Martin Luther King Jr. Day', rule: { type: 'nthWeekday', month: 1, weekday: 1, n: 3 } },
+      { name: "Washington's Birthday", rule: { type: 'nthWeekday', month: 2, weekday: 1, n: 3 } },
+      { name: 'Memorial Day', rule: { type: 'nthWeekday', month: 5, weekday: 1, n: -1 } },
+      { name: 'Juneteenth', rule: { type: 'fixed', month: 6, day: 19 } },
+      { name: 'Independence Day', rule: { type: 'fixed', month: 7, day: 4 } },
+      { name: 'Labor Day', rule: { type: 'nthWeekday', month: 9, weekday: 1, n: 1 } },
+      { name: 'Columbus Day', rule: { type: 'nthWeekday', month: 10, weekday: 1, n: 2 } },
+      { name: 'Veterans Day', rule: { type: 'fixed', month: 11, day: 11 } },
+      { name: 'Thanksgiving Day', rule: { type: 'nthWeekday', month: 11, weekday: 4, n: 4 } },
+      { name: 'Christmas Day', rule: { type: 'fixed', month: 12, day: 25 } }
+    ]
+  },
+  UK: {
+    name: 'United Kingdom (England & Wales)',
+    observance: 'following',
+    holidays: [
+      { name: "New Year's Day", rule: { type: 'fixed', month: 1, day: 1 } },
+      { name: 'Good Friday', rule: { type: 'easter', offset: -2 } },
+      { name: 'Easter Monday', rule: { type: 'easter', offset: 1 } },
+      { name: 'Early May Bank Holiday', rule: { type: 'nthWeekday', month: 5, weekday: 1, n: 1 } },
+      { name: 'Spring Bank Holiday', rule: { type: 'nthWeekday', month: 5, weekday: 1, n: -1 } },
+      { name: 'Summer Bank Holiday', rule: { type: 'nthWeekday', month: 8, weekday: 1, n: -1 } },
+      { name: 'Christmas Day', rule: { type: 'fixed', month: 12, day: 25 } },
+      { name: 'Boxing Day', rule: { type: 'fixed', month: 12, day: 26 } }
+    ]
+  },
+  DE: {
+    name: 'Germany (nationwide)',
+    observance: 'none',
+    holidays: [
+      { name: 'Neujahr', rule: { type: 'fixed', month: 1, day: 1 } },
+      { name: 'Karfreitag', rule: { type: 'easter', offset: -2 } },
+      { name: 'Ostermontag', rule: { type: 'easter', offset: 1 } },
+      { name: 'Tag der Arbeit', rule: { type: 'fixed', month: 5, day: 1 } },
+      { name: 'Christi Himmelfahrt', rule: { type: 'easter', offset: 39 } },
+      { name: 'Pfingstmontag', rule: { type: 'easter', offset: 50 } },
+      { name: 'Tag der Deutschen Einheit', rule: { type: 'fixed', month: 10, day: 3 } },
+      { name: '1. Weihnachtstag', rule: { type: 'fixed', month: 12, day: 25 } },
+      { name: '2. Weihnachtstag', rule: { type: 'fixed', month: 12, day: 26 } }
+    ]
+  },
+  CA: {
+    name: 'Canada (federal)',
+    observance: 'following',
+    holidays: [
+      { name: "New Year's Day", rule: { type: 'fixed', month: 1, day: 1 } },
+      { name: 'Good Friday', rule: { type: 'easter', offset: -2 } },
+      { name: 'Victoria Day', rule: { type: 'weekdayBefore', month: 5, day: 25, weekday: 1 } },
+      { name: 'Canada Day', rule: { type: 'fixed', month: 7, day: 1 } },
+      { name: 'Labour Day', rule: { type: 'nthWeekday', month: 9, weekday: 1, n: 1 } },
+      { name: 'National Day for Truth and Reconciliation', rule: { type: 'fixed', month: 9, day: 30 } },
+      { name: 'Thanksgiving', rule: { type: 'nthWeekday', month: 10, weekday: 1, n: 2 } },
+      { name: 'Remembrance Day', rule: { type: 'fixed', month: 11, day: 11 } },
+      { name: 'Christmas Day', rule: { type: 'fixed', month: 12, day: 25 } },
+      { name: 'Boxing Day', rule: { type: 'fixed', month: 12, day: 26 } }
+    ]
+  },
+  AU: {
+    name: 'Australia (national)',
+    observance: 'following',
+    holidays: [
+      { name: "New Year's Day", rule: { type: 'fixed', month: 1, day: 1 } },
+      { name: 'Australia Day', rule: { type: 'fixed', month: 1, day: 26 } },
+      { name: 'Good Friday', rule: { type: 'easter', offset: -2 } },
+      { name: 'Easter Monday', rule: { type: 'easter', offset: 1 } },
+      { name: 'Anzac Day', rule: { type: 'fixed', month: 4, day: 25, observance: 'none' } },
+      { name: "King's Birthday", rule: { type: 'nthWeekday', month: 6, weekday: 1, n: 2 } },
+      { name: 'Christmas Day', rule: { type: 'fixed', month: 12, day: 25 } },
+      { name: 'Boxing Day', rule: { type: 'fixed', month: 12, day: 26 } }
+    ]
+  },
+  IN: {
+    name: 'India (national, fixed-date only)',
+    observance: 'none',
+    holidays: [
+      { name: 'Republic Day', rule: { type: 'fixed', month: 1, day: 26 } },
+      { name: 'Independence Day', rule: { type: 'fixed', month: 8, day: 15 } },
+      { name: 'Gandhi Jayanti', rule: { type: 'fixed', month: 10, day: 2 } },
+      { name: 'Christmas Day', rule: { type: 'fixed', month: 12, day: 25 } }
+    ]
+  }
+};
+
+// Maximum span accepted for a single preset application
+export const MAX_PRESET_YEARS = 10;
+
+/**
+ * List available presets for the UI
+ */
+export function listHolidayPresets() {
+  return Object.entries(HOLIDAY_PRESETS).map(([code, preset]) => ({
+    code,
+    name: preset.name,
+    observance: preset.observance,
+    holidays: preset.holidays.map(h => h.name)
+  }));
+}
+
+/**
+ * Generate concrete holiday dates for a preset over an inclusive year range
+ * Returns [{ date: 'YYYY-MM-DD', name }] sorted by date
+ */
+export function generatePresetHolidays(code, fromYear, toYear = fromYear) {
+  const preset = HOLIDAY_PRESETS[code];
+  if (!preset) {
+    throw new Error(`Unknown holiday preset: ${code}`);
+  }
+
+  const results = [];
+
+  for (let year = fromYear; year <= toYear; year++) {
+    // Actual dates first, so substitute days never land on another holiday
+    const occurrences = preset.holidays.map(holiday => ({
+      name: holiday.name,
+      date: resolveRule(holiday.rule, year),
+      observance: holiday.rule.observance || preset.observance
+    }));
+
+    const taken = new Set(occurrences.map(o => formatDate(o.date)));
+
+    for (const occurrence of occurrences) {
+      const observed = observeDate(occurrence.date, occurrence.observance, taken);
+      const date = formatDate(observed);
+      taken.add(date);
+
+      results.push({
+        date,
+        name: date === formatDate(occurrence.date) ? occurrence.name : `${occurrence.name} (observed)`
+      });
+    }
+  }
+
+  return results.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Resolve a holiday rule to a UTC date in a given year
+ */
+function resolveRule(rule, year) {
+  switch (rule.type) {
+    case 'fixed':
+      return utcDate(year, rule.month, rule.day);
+
+    case 'nthWeekday': {
+      if (rule.n > 0) {
+        const first = utcDate(year, rule.month, 1);
+        const offset = (rule.weekday - first.getUTCDay() + 7) % 7;
+        return utcDate(year, rule.month, 1 + offset + (rule.n - 1) * 7);
+      }
+      // n = -1: last matching weekday of the month
+      const last = utcDate(year, rule.month + 1, 0);
+      const offset = (last.getUTCDay() - rule.weekday + 7) % 7;
+      return utcDate(year, rule.month + 1, -offset);
+    }
+
+    case 'weekdayBefore': {
+      // Last matching weekday strictly before month/day
+      const before = utcDate(year, rule.month, rule.day - 1);
+      const offset = (before.getUTCDay() - rule.weekday + 7) % 7;
+      return utcDate(year, rule.month, rule.day - 1 - offset);
+    }
+
+    case 'easter': {
+      const easter = easterSunday(year);
+      easter.setUTCDate(easter.getUTCDate() + rule.offset);
+      return easter;
+    }
+
+    default:
+      throw new Error(`Unknown holiday rule type: ${rule.type}`);
+  }
+}
+
+/**
+ * Move a weekend holiday to its observed weekday
+ */
+function observeDate(date, observance, taken) {
+  const day = date.getUTCDay();
+  if (observance === 'none' || (day !== 0 && day !== 6)) return date;
+
+  if (observance === 'nearest') {
+    const observed = new Date(date);
+    observed.setUTCDate(observed.getUTCDate() + (day === 6 ? -1 : 1));
+    return observed;
+  }
+
+  // following: next weekday that isn't already a holiday
+  const observed = new Date(date);
+  do {
+    observed.setUTCDate(observed.getUTCDate() + 1);
+  } while (observed.getUTCDay() === 0 || observed.getUTCDay() === 6 || taken.has(formatDate(observed)));
+  return observed;
+}
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
@@ -0,0 +1,196 @@
+/**
+ * iCalendar (.ics) support
+ *
+ * Parses all-day events from calendar files for holiday import,
+ * and serializes the calculated schedule as a subscribable feed
+ */
+
+// Refuse to expand absurdly long events into individual dates
+const MAX_EVENT_DAYS = 31;
+
+/**
+ * Parse an iCalendar document into holiday dates
+ * Returns [{ date: 'YYYY-MM-DD', name, recurring }]
+ *
+ * Multi-day events are expanded into one entry per day (DTEND is exclusive).
+ * Events with a yearly RRULE are marked recurring.
+ */
+export function parseICalendar(text) {
+  const lines = unfoldLines(text);
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event?.start) {
+        holidays.push(...expandEvent(event));
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) continue;
+
+    const { name, value } = parseProperty(line);
+    switch (name) {
+      case 'DTSTART':
+        event.start = parseDateValue(value);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(value);
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value);
+        break;
+      case 'RRULE':
+        event.recurring = /(^|;)FREQ=YEARLY(;|$)/i.test(value);
+        break;
+      case 'STATUS':
+        event.cancelled = value.toUpperCase() === 'CANCELLED';
+        break;
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Join folded lines (continuations start with a space or tab)
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(Boolean);
+}
+
+/**
+ * Split "NAME;PARAM=x:value" into its property name and value
+ */
+function parseProperty(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return { name: line.toUpperCase(), value: '' };
+
+  const head = line.slice(0, colon);
+  const name = head.split(';')[0].toUpperCase();
+  return { name, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse DATE (20251225) or DATE-TIME (20251225T000000Z) values to 'YYYY-MM-DD'
+ */
+function parseDateValue(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+function expandEvent(event) {
+  if (event.cancelled) return [];
+
+  const name = event.summary || 'Holiday';
+  const recurring = !!event.recurring;
+  const dates = [event.start];
+
+  if (event.end && event.end > event.start) {
+    const current = new Date(event.start + 'T00:00:00Z');
+    const end = new Date(event.end + 'T00:00:00Z');
+    current.setUTCDate(current.getUTCDate() + 1);
+
+    while (current < end && dates.length < MAX_EVENT_DAYS) {
+      dates.push(current.toISOString().split('T')[0]);
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+  }
+
+  return dates.map(date => ({ date, name, recurring }));
+}
+
+/**
+ * Serialize all-day events into an iCalendar document
+ * events: [{ uid, startDate, endDate (inclusive), summary, description, url, categories }]
+ */
+export function buildICalendar({ name, uidDomain = 'jaybird.us', events }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//jayBird//Projects Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@${uidDomain}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDateValue(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(addDays(event.endDate, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatDateValue(date) {
+  return date.replace(/-/g, '');
+}
+
+function addDays(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Fold lines longer than 75 octets (continuations start with a space)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
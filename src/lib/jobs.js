@@ -0,0 +1,156 @@
+/**
+ * Background Job Queue
+ *
+ * Durable queue for webhook-triggered work, stored in the jobs table:
+ * - Jobs survive restarts; jobs left running by a crash are requeued on start
+ * - One running job per project at a time (per-project serialization)
+ * - Failed attempts retry with exponential backoff, then move to the
+ *   failed status (dead letter) until retried by hand
+ * - Queued jobs of the same type for a project are coalesced (debounce)
+ */
+
+import {
+  createJob,
+  getQueuedJob,
+  updateQueuedJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  requeueRunningJobs,
+  deleteCompletedJobs
+} from './database.js';
+
+// Attempts before a job is dead-lettered
+export const MAX_ATTEMPTS = 5;
+
+// Backoff after the first failed attempt, doubled per attempt
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 30 * 60;
+
+// Jobs run side by side (always for different projects)
+const CONCURRENCY = 2;
+
+const POLL_INTERVAL_MS = 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const handlers = new Map();
+let worker = null;
+
+/**
+ * Register the function that runs jobs of a type: async (job, logger) => void
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a job, or fold it into the queued job of the same type for the project
+ * merge(existingPayload, payload) combines payloads when coalescing.
+ */
+export function enqueueJob(installationId, projectNumber, type, payload, options = {}) {
+  const { delaySeconds = 0, merge } = options;
+
+  if (merge) {
+    const queued = getQueuedJob(installationId, projectNumber, type);
+    if (queued && updateQueuedJob(queued.id, merge(queued.payload, payload), delaySeconds)) {
+      return queued.id;
+    }
+  }
+
+  const job = createJob(installationId, projectNumber, type, payload, {
+    delaySeconds,
+    maxAttempts: MAX_ATTEMPTS
+  });
+  poke();
+  return job.id;
+}
+
+/**
+ * Seconds to wait before the next attempt
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+async function runJob(job, logger) {
+  const log = logger.child({ jobId: job.id, jobType: job.type, attempt: job.attempts });
+  const handler = handlers.get(job.type);
+
+  if (!handler) {
+    log.error('No handler for job type');
+    failJob(job.id, `Unknown job type: ${job.type}`);
+    return;
+  }
+
+  try {
+    await handler(job, log);
+    completeJob(job.id);
+    log.debug('Job completed');
+  } catch (error) {
+    const retry = job.attempts < job.max_attempts;
+    const delay = retry ? getRetryDelay(job.attempts) : null;
+    failJob(job.id, error.message, delay);
+
+    if (retry) {
+      log.warn({ error: error.message, retryIn: delay }, 'Job failed, will retry');
+    } else {
+      log.error({ error: error.message }, 'Job failed permanently');
+    }
+  }
+}
+
+/**
+ * Claim and start due jobs up to the concurrency limit
+ */
+function tick() {
+  if (!worker) return;
+
+  while (worker.running < CONCURRENCY) {
+    const job = claimNextJob();
+    if (!job) break;
+
+    const current = worker;
+    current.running++;
+    runJob(job, current.logger).finally(() => {
+      current.running--;
+      poke();
+    });
+  }
+}
+
+function poke() {
+  if (worker) setImmediate(tick);
+}
+
+/**
+ * Start processing jobs (call once the database is initialized)
+ */
+export function startJobWorker(logger) {
+  if (worker) return;
+
+  const requeued = requeueRunningJobs();
+  if (requeued > 0) {
+    logger.warn({ requeued }, 'Requeued jobs interrupted by a restart');
+  }
+  deleteCompletedJobs();
+
+  worker = {
+    logger,
+    running: 0,
+    poll: setInterval(tick, POLL_INTERVAL_MS),
+    cleanup: setInterval(() => deleteCompletedJobs(), CLEANUP_INTERVAL_MS)
+  };
+  worker.poll.unref();
+  worker.cleanup.unref();
+  poke();
+}
+
+/**
+ * Stop claiming new jobs (running jobs finish on their own)
+ */
+export function stopJobWorker() {
+  if (!worker) return;
+  clearInterval(worker.poll);
+  clearInterval(worker.cleanup);
+  worker = null;
+}
@@ -1,24 +1,43 @@
 /**
  * Project Field Management
  *
- * Auto-detects and creates required fields for jayBird Projects
+ * Auto-detects and creates required fields for jayBird Projects, under the
+ * field names each project maps them to (projects.settings_json fieldNames)
  */
 
-// Required fields for the app to function
+// Internal field keys -> GitHub field names used unless a project maps them elsewhere
+export const DEFAULT_FIELD_NAMES = {
+  startDate: 'Start Date',
+  targetDate: 'Target Date',
+  actualEndDate: 'Actual End Date',
+  baselineStart: 'Baseline Start',
+  baselineTarget: 'Baseline Target',
+  estimate: 'Estimate',
+  confidence: 'Confidence',
+  percentComplete: '% Complete',
+  status: 'Status',
+  constraintType: 'Constraint Type',
+  constraintDate: 'Constraint Date'
+};
+
+// Longest field name GitHub accepts
+const MAX_FIELD_NAME_LENGTH = 100;
+
+// Required fields for the app to function (by internal field key)
 export const REQUIRED_FIELDS = {
   // Core fields (Free tier)
-  'Start Date': { type: 'DATE', required: true },
-  'Target Date': { type: 'DATE', required: true },
-  'Estimate': {
+  startDate: { type: 'DATE', required: true },
+  targetDate: { type: 'DATE', required: true },
+  estimate: {
     type: 'SINGLE_SELECT',
     required: true,
     options: ['XS', 'S', 'M', 'L', 'XL', 'XXL']
   },
 
   // Pro fields
-  'Baseline Start': { type: 'DATE', required: false, pro: true },
-  'Baseline Target': { type: 'DATE', required: false, pro: true },
-  'Confidence': {
+  baselineStart: { type: 'DATE', required: false, pro: true },
+  baselineTarget: { type: 'DATE', required: false, pro: true },
+  confidence: {
     type: 'SINGLE_SELECT',
     required: false,
     pro: true,
@@ -26,9 +45,59 @@ export const REQUIRED_FIELDS = {
   },
 
   // Optional but useful
-  'Actual End Date': { type: 'DATE', required: false }
+  actualEndDate: { type: 'DATE', required: false },
+
+  // Schedule constraints (paired with Constraint Date)
+  constraintType: {
+    type: 'SINGLE_SELECT',
+    required: false,
+    options: ['Start No Earlier Than', 'Finish No Later Than', 'Must Start On']
+  },
+  constraintDate: { type: 'DATE', required: false }
 };
 
+/**
+ * A project's field names: its fieldNames setting over the defaults
+ */
+export function getFieldNames(projectSettings) {
+  return { ...DEFAULT_FIELD_NAMES, ...(projectSettings?.fieldNames || {}) };
+}
+
+/**
+ * Validate a field mapping from the API
+ * Only overrides are kept; returns { fieldNames } or { error }
+ */
+export function validateFieldNames(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'fieldNames must be an object of field key to field name' };
+  }
+
+  const fieldNames = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_FIELD_NAMES)) {
+      return { error: `Unknown field: ${key}` };
+    }
+    if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_FIELD_NAME_LENGTH) {
+      return { error: `Field name for ${key} must be 1-${MAX_FIELD_NAME_LENGTH} characters` };
+    }
+    if (value.trim() !== DEFAULT_FIELD_NAMES[key]) {
+      fieldNames[key] = value.trim();
+    }
+  }
+
+  // Two keys reading the same field would overwrite each other
+  const seen = new Map();
+  for (const [key, name] of Object.entries(getFieldNames({ fieldNames }))) {
+    const normalized = normalizeFieldName(name);
+    if (seen.has(normalized)) {
+      return { error: `${seen.get(normalized)} and ${key} can't both use "${name}"` };
+    }
+    seen.set(normalized, key);
+  }
+
+  return { fieldNames };
+}
+
 /**
  * Get existing fields from a project
  */
@@ -65,14 +134,14 @@ export async function getProjectFields(octokit, projectId) {
 }
 
 /**
- * Create a date field
+ * Create a field without options (DATE or NUMBER)
  */
-async function createDateField(octokit, projectId, name) {
+async function createField(octokit, projectId, name, dataType) {
   const mutation = `
-    mutation($projectId: ID!, $name: String!) {
+    mutation($projectId: ID!, $name: String!, $dataType: ProjectV2CustomFieldType!) {
       createProjectV2Field(input: {
         projectId: $projectId
-        dataType: DATE
+        dataType: $dataType
         name: $name
       }) {
         projectV2Field {
@@ -85,7 +154,7 @@ async function createDateField(octokit, projectId, name) {
     }
   `;
 
-  const result = await octokit.graphql(mutation, { projectId, name });
+  const result = await octokit.graphql(mutation, { projectId, name, dataType });
   return result.createProjectV2Field?.projectV2Field;
 }
 
@@ -140,8 +209,8 @@ function getOptionColor(index) {
 /**
  * Normalize field name for comparison (case-insensitive, trim whitespace)
  */
-function normalizeFieldName(name) {
-  return name.toLowerCase().trim();
+export function normalizeFieldName(name) {
+  return String(name).toLowerCase().trim();
 }
 
 /**
@@ -154,10 +223,11 @@ function fieldExists(existingFields, fieldName) {
 
 /**
  * Ensure all required fields exist on a project
+ * Numeric estimate models (estimates.js) get a NUMBER Estimate field instead of sizes.
  * Returns object with created fields and any errors
  */
 export async function ensureProjectFields(octokit, projectId, logger, options = {}) {
-  const { includePro = false } = options;
+  const { includePro = false, fieldNames = DEFAULT_FIELD_NAMES, estimateModel = 'tshirt' } = options;
 
   const result = {
     existingFields: [],
@@ -176,8 +246,13 @@ export async function ensureProjectFields(octokit, projectId, logger, options =
       existingFields: result.existingFields
     }, 'Checking project fields');
 
-    // Check each required field
-    for (const [fieldName, fieldConfig] of Object.entries(REQUIRED_FIELDS)) {
+    // Check each required field under the project's name for it
+    for (const [fieldKey, requiredField] of Object.entries(REQUIRED_FIELDS)) {
+      const fieldName = fieldNames[fieldKey];
+      const fieldConfig = fieldKey === 'estimate' && estimateModel !== 'tshirt'
+        ? { ...requiredField, type: 'NUMBER' }
+        : requiredField;
+
       // Skip Pro fields if not requested
       if (fieldConfig.pro && !includePro) {
         result.skippedFields.push(fieldName);
@@ -195,8 +270,8 @@ export async function ensureProjectFields(octokit, projectId, logger, options =
         logger.info({ fieldName, type: fieldConfig.type }, 'Creating missing field');
 
         let createdField;
-        if (fieldConfig.type === 'DATE') {
-          createdField = await createDateField(octokit, projectId, fieldName);
+        if (fieldConfig.type === 'DATE' || fieldConfig.type === 'NUMBER') {
+          createdField = await createField(octokit, projectId, fieldName, fieldConfig.type);
         } else if (fieldConfig.type === 'SINGLE_SELECT') {
           createdField = await createSingleSelectField(
             octokit,
@@ -6,10 +6,15 @@
  * - Approaching deadlines with low progress
  * - Low confidence estimates
  * - Missing estimates or target dates
- * - Blocked items
+ * - Blocked items (including blockers outside the project)
+ * - Blockers outside the project whose dates can't be resolved
+ * - Dependency cycles
+ * - Schedule constraints that can't be met
  * - Items behind baseline
  */
 
+import { DEFAULT_FIELD_NAMES } from './project-fields.js';
+
 // Risk factor weights (points)
 export const RISK_WEIGHTS = {
   overdue: 35,              // Target date is past and item is open
@@ -18,6 +23,9 @@ export const RISK_WEIGHTS = {
   noEstimate: 10,           // Missing estimate
   noTargetDate: 10,         // Missing target date
   blocked: 15,              // Has uncompleted dependencies
+  unresolvedBlocker: 20,    // Blocked by an issue outside the project with unknown dates
+  cycle: 25,                // Part of a dependency cycle (dates can't be calculated)
+  constraintViolation: 30,  // Must-finish-by or must-start-on can't be met
   behindBaseline: 15,       // Current target later than baseline
   noStartDate: 5,           // Has target but no start date
 };
@@ -33,8 +41,9 @@ export const RISK_LEVELS = {
 
 /**
  * Calculate risk score for a single project item
+ * (fieldNames: the project's field names, used to name missing fields)
  */
-export function calculateItemRisk(item, allItems, today = new Date()) {
+export function calculateItemRisk(item, allItems, today = new Date(), fieldNames = DEFAULT_FIELD_NAMES) {
   const risks = [];
   let totalScore = 0;
   const todayStr = today.toISOString().split('T')[0];
@@ -42,6 +51,8 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
   // Skip completed items
   if (item.state === 'CLOSED' || item.status === 'Done') {
     return {
+      key: item.key,
+      repository: item.repository,
       issueNumber: item.issueNumber,
       title: item.title,
       score: 0,
@@ -89,18 +100,18 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
   if (item.confidence === 'Low') {
     risks.push({
       type: 'lowConfidence',
-      message: 'Low confidence estimate',
+      message: `Low ${fieldNames.confidence}`,
       weight: RISK_WEIGHTS.lowConfidence,
       severity: 'medium'
     });
     totalScore += RISK_WEIGHTS.lowConfidence;
   }
 
-  // 4. No estimate
-  if (!item.estimate) {
+  // 4. No estimate (a Number field may hold 0)
+  if (item.estimate === undefined || item.estimate === null || item.estimate === '') {
     risks.push({
       type: 'noEstimate',
-      message: 'Missing size estimate',
+      message: `Missing ${fieldNames.estimate}`,
       weight: RISK_WEIGHTS.noEstimate,
       severity: 'medium'
     });
@@ -111,18 +122,18 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
   if (!item.targetDate) {
     risks.push({
       type: 'noTargetDate',
-      message: 'No target date set',
+      message: `No ${fieldNames.targetDate} set`,
       weight: RISK_WEIGHTS.noTargetDate,
       severity: 'medium'
     });
     totalScore += RISK_WEIGHTS.noTargetDate;
   }
 
-  // 6. Blocked by uncompleted dependencies
+  // 6. Blocked by uncompleted dependencies (allItems also holds blockers outside the project)
   if (item.blockedBy && item.blockedBy.length > 0) {
-    const blockingItems = item.blockedBy.filter(depNum => {
-      const depItem = allItems.get(depNum);
-      return depItem && depItem.state !== 'CLOSED' && depItem.status !== 'Done';
+    const blockingItems = item.blockedBy.filter(depKey => {
+      const depItem = allItems.get(depKey);
+      return depItem && depItem.state && depItem.state !== 'CLOSED' && depItem.status !== 'Done';
     });
 
     if (blockingItems.length > 0) {
@@ -137,7 +148,43 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
     }
   }
 
-  // 7. Behind baseline
+  // 6b. Blocked by something outside the project that couldn't be resolved
+  if (item.unresolvedBlockers?.length > 0) {
+    risks.push({
+      type: 'unresolvedBlocker',
+      message: `Blocked by ${item.unresolvedBlockers.join(', ')} outside the project (dates unknown)`,
+      weight: RISK_WEIGHTS.unresolvedBlocker,
+      severity: 'high',
+      blockingIssues: item.unresolvedBlockers
+    });
+    totalScore += RISK_WEIGHTS.unresolvedBlocker;
+  }
+
+  // 7. Part of a dependency cycle
+  if (item.dependencyCycle) {
+    risks.push({
+      type: 'cycle',
+      message: `Dependency cycle: ${item.dependencyCycle.join(' → ')}`,
+      weight: RISK_WEIGHTS.cycle,
+      severity: 'high',
+      cyclePath: item.dependencyCycle
+    });
+    totalScore += RISK_WEIGHTS.cycle;
+  }
+
+  // 8. Schedule constraint can't be met
+  if (item.constraintViolation) {
+    risks.push({
+      type: 'constraintViolation',
+      message: item.constraintViolation.message,
+      weight: RISK_WEIGHTS.constraintViolation,
+      severity: 'high',
+      constraint: item.constraintViolation
+    });
+    totalScore += RISK_WEIGHTS.constraintViolation;
+  }
+
+  // 9. Behind baseline
   if (item.baselineTarget && item.targetDate && item.targetDate > item.baselineTarget) {
     const daysSlipped = Math.floor(
       (new Date(item.targetDate + 'T00:00:00Z') - new Date(item.baselineTarget + 'T00:00:00Z')) / (1000 * 60 * 60 * 24)
@@ -151,11 +198,11 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
     totalScore += RISK_WEIGHTS.behindBaseline;
   }
 
-  // 8. No start date but has target
+  // 10. No start date but has target
   if (item.targetDate && !item.startDate) {
     risks.push({
       type: 'noStartDate',
-      message: 'No start date set',
+      message: `No ${fieldNames.startDate} set`,
       weight: RISK_WEIGHTS.noStartDate,
       severity: 'low'
     });
@@ -175,6 +222,8 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
   }
 
   return {
+    key: item.key,
+    repository: item.repository,
     issueNumber: item.issueNumber,
     title: item.title,
     score: totalScore,
@@ -190,19 +239,24 @@ export function calculateItemRisk(item, allItems, today = new Date()) {
 
 /**
  * Calculate risk scores for all project items
+ * externalBlockers: item key -> blocker outside the project (see engine.loadExternalBlockers)
  */
-export function calculateProjectRisks(projectItems) {
+export function calculateProjectRisks(projectItems, externalBlockers = new Map(), options = {}) {
+  const { fieldNames = DEFAULT_FIELD_NAMES } = options;
   const itemsMap = new Map();
 
-  // First pass: build map for dependency lookup
+  // First pass: build map for dependency lookup (by item key)
+  for (const blocker of externalBlockers.values()) {
+    itemsMap.set(blocker.key, blocker);
+  }
   for (const item of projectItems.values()) {
-    itemsMap.set(item.issueNumber, item);
+    itemsMap.set(item.key, item);
   }
 
   // Second pass: calculate risks
   const riskAssessments = [];
   for (const item of projectItems.values()) {
-    const assessment = calculateItemRisk(item, itemsMap);
+    const assessment = calculateItemRisk(item, itemsMap, new Date(), fieldNames);
     riskAssessments.push(assessment);
   }
 
@@ -250,9 +304,12 @@ export function calculateProjectRisks(projectItems) {
 /**
  * Parse percent complete field value
  */
-function parsePercentComplete(value) {
+export function parsePercentComplete(value) {
   if (!value) return 0;
 
+  // Number fields hold the percentage itself
+  if (typeof value === 'number') return Math.round(value);
+
   // Handle string values like "50%", "75%", etc.
   const match = value.match(/(\d+)/);
   if (match) {
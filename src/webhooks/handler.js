@@ -14,10 +14,15 @@ import {
   createProject,
   updateSubscription,
   logAudit,
+  getProject,
+  getProjectsByInstallation,
   getProjectByNodeId,
-  getOAuthToken
+  getOAuthToken,
+  findCachedItemsByContentId,
+  deleteCachedProjectItem
 } from '../lib/database.js';
-import { ProjectFlowEngine } from '../lib/engine.js';
+import { ProjectFlowEngine, itemKey } from '../lib/engine.js';
+import { registerJobHandler, enqueueJob } from '../lib/jobs.js';
 import { getSubscriptionStatus, PLAN_FEATURES } from '../lib/stripe.js';
 
 /**
@@ -69,15 +74,16 @@ export function createWebhookHandler(logger) {
       return res.status(400).json({ error: 'Invalid JSON' });
     }
 
-    // Respond immediately (GitHub expects response within 10 seconds)
-    res.status(200).json({ received: true });
-
-    // Process event asynchronously
+    // Process the event before responding (GitHub expects a response within 10 seconds);
+    // anything that calls GitHub is only queued here, so it survives a restart
     try {
       await processWebhook(event, payload, logger);
     } catch (error) {
       logger.error({ error, event, deliveryId }, 'Failed to process webhook');
+      return res.status(500).json({ error: 'Failed to process webhook' });
     }
+
+    res.status(200).json({ received: true });
   };
 }
 
@@ -202,57 +208,151 @@ async function handleIssues(payload, logger) {
     issueNumber
   }, 'Issue event');
 
-  try {
-    // Get subscription to determine issue limit
-    const settings = getInstallationSettings(installationId);
-    const subscription = await getSubscriptionStatus(settings?.stripeCustomerId);
-    const maxTrackedIssues = PLAN_FEATURES[subscription.plan].maxTrackedIssues;
-
-    const engine = new ProjectFlowEngine(installationId, logger, { maxTrackedIssues });
-
-    switch (action) {
-      case 'closed':
-        await engine.onIssueClosed(owner, repo, issueNumber);
-        break;
-
-      case 'reopened':
-      case 'edited':
-      case 'labeled':
-      case 'unlabeled':
-      case 'milestoned':
-      case 'demilestoned':
-        // Trigger recalculation for any significant change
-        // The engine will find the right project
-        const projects = (await import('../lib/database.js')).getProjectsByInstallation(installationId);
-        for (const project of projects) {
-          if (project.owner === owner) {
-            await engine.recalculateAll(owner, project.project_number);
-          }
-        }
-        break;
+  // Issue deleted or moved away: drop it from the item cache
+  if (action === 'deleted' || action === 'transferred') {
+    for (const entry of findCachedItemsByContentId(installationId, issue.node_id)) {
+      deleteCachedProjectItem(installationId, entry.project_number, entry.item_id);
     }
-  } catch (error) {
-    logger.error({ error, action, issueNumber }, 'Failed to handle issue event');
+    return;
+  }
+
+  const cached = findCachedItemsByContentId(installationId, issue.node_id);
+  const closed = action === 'closed';
+  const recalculate = RECALCULATE_ISSUE_ACTIONS.has(action);
+
+  // Queue a cache refresh and recalculation for each project of this owner
+  for (const project of getProjectsByInstallation(installationId)) {
+    if (project.owner !== owner) continue;
+
+    const itemIds = cached
+      .filter(entry => entry.project_number === project.project_number)
+      .map(entry => entry.item_id);
+    if (!closed && !recalculate && itemIds.length === 0) continue;
+
+    queueProjectSync(installationId, project, {
+      itemIds,
+      recalculate,
+      closedIssues: closed ? [{ repo, issueNumber }] : [],
+      triggerDetail: `issues.${action} ${repo}#${issueNumber}`
+    });
   }
 }
 
-// Debounce and cooldown tracking for project recalculations
-// Use LRU cache to prevent memory leaks with abandoned projects
-const pendingRecalculations = new LRUCache({
-  max: 500, // Max 500 pending recalculations
-  ttl: 60 * 1000, // Auto-expire after 60 seconds
+// Issue actions that trigger a recalculation of the issue's projects
+const RECALCULATE_ISSUE_ACTIONS = new Set([
+  'reopened', 'edited', 'labeled', 'unlabeled', 'milestoned', 'demilestoned'
+]);
+
+// ============================================================
+// Project Sync Jobs
+// ============================================================
+
+// Refreshes cached items, records closures and recalculates a project
+const PROJECT_SYNC_JOB = 'project-sync';
+
+/**
+ * Combine a new sync request into a queued one
+ */
+function mergeProjectSync(queued, next) {
+  return {
+    owner: next.owner,
+    itemIds: [...new Set([...(queued.itemIds || []), ...next.itemIds])],
+    recalculate: queued.recalculate || next.recalculate,
+    closedIssues: [...(queued.closedIssues || []), ...next.closedIssues].filter((closed, index, all) =>
+      all.findIndex(other => other.repo === closed.repo && other.issueNumber === closed.issueNumber) === index
+    ),
+    triggerDetail: next.recalculate || !queued.recalculate ? next.triggerDetail : queued.triggerDetail
+  };
+}
+
+/**
+ * Queue (or fold into the queued) sync job for a project after the debounce period
+ */
+function queueProjectSync(installationId, project, request) {
+  const payload = {
+    owner: project.owner,
+    itemIds: [],
+    recalculate: false,
+    closedIssues: [],
+    ...request
+  };
+
+  enqueueJob(installationId, project.project_number, PROJECT_SYNC_JOB, payload, {
+    delaySeconds: DEBOUNCE_SECONDS,
+    merge: mergeProjectSync
+  });
+}
+
+registerJobHandler(PROJECT_SYNC_JOB, async (job, logger) => {
+  const installationId = job.installation_id;
+  const projectNumber = job.project_number;
+  const { owner, itemIds = [], recalculate, closedIssues = [], triggerDetail } = job.payload;
+
+  const project = getProject(installationId, owner, projectNumber);
+  if (!project) {
+    logger.debug({ owner, projectNumber }, 'Project no longer tracked');
+    return;
+  }
+
+  const userToken = getOAuthToken(installationId);
+  const settings = getInstallationSettings(installationId);
+  const subscription = await getSubscriptionStatus(settings?.stripeCustomerId);
+  const maxTrackedIssues = PLAN_FEATURES[subscription.plan].maxTrackedIssues;
+
+  const engine = new ProjectFlowEngine(installationId, logger, { maxTrackedIssues, userToken });
+
+  if (itemIds.length > 0) {
+    await engine.refreshCachedItems(projectNumber, itemIds);
+  }
+
+  // Issues closed elsewhere (not in this project) don't call for a recalculation
+  const closedHere = [];
+  for (const closed of closedIssues) {
+    if (await engine.setActualEndDate(project, itemKey(`${owner}/${closed.repo}`, closed.issueNumber))) {
+      closedHere.push(closed);
+    }
+  }
+
+  if (!recalculate && closedHere.length === 0) return;
+
+  logger.info({ owner, projectNumber }, 'Recalculating');
+
+  const result = await engine.recalculateAll(owner, projectNumber, closedHere.length > 0
+    ? { trigger: 'issue-closed', triggerDetail: closedHere.map(c => `${c.repo}#${c.issueNumber}`).join(', ') }
+    : { trigger: 'webhook', triggerDetail });
+
+  logger.info({
+    updated: result.updated,
+    skipped: result.skipped,
+    failed: result.failed.length
+  }, 'Recalculation done');
+
+  // Set cooldown to ignore cascade webhooks from our updates
+  const projectKey = `${installationId}:${projectNumber}`;
+  recentlyRecalculated.set(projectKey, true);
+  setTimeout(() => recentlyRecalculated.delete(projectKey), COOLDOWN_MS);
+
+  // Write failures (rate limits included) are reported, not thrown - fail the job
+  // so it's retried with backoff; the retry only rewrites dates that still differ
+  if (result.failed.length > 0) {
+    throw new Error(`Failed to update ${result.failed.length} item(s): ${result.failed[0].errors.join(', ')}`);
+  }
 });
 
+// Cooldown tracking for project recalculations (in memory: losing it on
+// restart only costs one extra recalculation)
+// Use LRU cache to prevent memory leaks with abandoned projects
 const recentlyRecalculated = new LRUCache({
   max: 500, // Track up to 500 projects in cooldown
   ttl: 10 * 1000, // Cooldown TTL (slightly longer than COOLDOWN_MS for safety)
 });
 
-const DEBOUNCE_MS = 1000; // Wait 1 second before recalculating
+const DEBOUNCE_SECONDS = 1; // Wait 1 second before recalculating
 const COOLDOWN_MS = 5000; // Ignore webhooks for 5 seconds after recalculation
 
 /**
  * Handle project item events with debouncing and cooldown
+ * Every event updates the item cache; edits also trigger a recalculation.
  */
 async function handleProjectItem(payload, logger) {
   const { action, projects_v2_item, installation } = payload;
@@ -264,62 +364,34 @@ async function handleProjectItem(payload, logger) {
 
   const projectNodeId = projects_v2_item?.project_node_id;
 
-  // Trigger recalculation on any edit to a project item
-  if (action === 'edited') {
-    // Look up the project by its node ID
-    const project = getProjectByNodeId(installation.id, projectNodeId);
-
-    if (!project) {
-      logger.debug({ projectNodeId }, 'Project not tracked');
-      return;
-    }
-
-    const projectKey = `${installation.id}:${project.project_number}`;
-
-    // Skip if in cooldown period (our own updates triggering webhooks)
-    if (recentlyRecalculated.has(projectKey)) {
-      logger.debug({ projectKey }, 'Skipping - in cooldown period');
-      return;
-    }
-
-    // Clear any pending recalculation for this project
-    if (pendingRecalculations.has(projectKey)) {
-      clearTimeout(pendingRecalculations.get(projectKey));
-    }
-
-    // Schedule recalculation after debounce period
-    const timeoutId = setTimeout(async () => {
-      pendingRecalculations.delete(projectKey);
-
-      try {
-        const userToken = getOAuthToken(installation.id);
-
-        logger.info({
-          owner: project.owner,
-          projectNumber: project.project_number
-        }, 'Recalculating');
-
-        const settings = getInstallationSettings(installation.id);
-        const subscription = await getSubscriptionStatus(settings?.stripeCustomerId);
-        const maxTrackedIssues = PLAN_FEATURES[subscription.plan].maxTrackedIssues;
+  // Look up the project by its node ID
+  const project = getProjectByNodeId(installation.id, projectNodeId);
 
-        const engine = new ProjectFlowEngine(installation.id, logger, { maxTrackedIssues, userToken });
-        const result = await engine.recalculateAll(project.owner, project.project_number);
-
-        logger.info({
-          updated: result.updated,
-          skipped: result.skipped
-        }, 'Recalculation done');
+  if (!project) {
+    logger.debug({ projectNodeId }, 'Project not tracked');
+    return;
+  }
 
-        // Set cooldown to ignore cascade webhooks from our updates
-        recentlyRecalculated.set(projectKey, true);
-        setTimeout(() => recentlyRecalculated.delete(projectKey), COOLDOWN_MS);
+  const itemId = projects_v2_item.node_id;
 
-      } catch (error) {
-        logger.error({ error: error.message }, 'Recalculation failed');
-      }
-    }, DEBOUNCE_MS);
+  // Removed items leave the cache right away; others are re-fetched by the sync job
+  if (action === 'deleted' || action === 'archived') {
+    deleteCachedProjectItem(installation.id, project.project_number, itemId);
+    return;
+  }
 
-    pendingRecalculations.set(projectKey, timeoutId);
+  // Trigger recalculation on any edit to a project item,
+  // except during the cooldown period (our own updates triggering webhooks)
+  const projectKey = `${installation.id}:${project.project_number}`;
+  let recalculate = action === 'edited';
+  if (recalculate && recentlyRecalculated.has(projectKey)) {
+    logger.debug({ projectKey }, 'Skipping recalculation - in cooldown period');
+    recalculate = false;
   }
+
+  queueProjectSync(installation.id, project, {
+    itemIds: itemId ? [itemId] : [],
+    recalculate,
+    triggerDetail: `projects_v2_item.${action}`
+  });
 }